@@ -0,0 +1,178 @@
+import Automaton from '../models/Automaton.js';
+import State from '../models/State.js';
+import SubsetConstruction from './subsetConstruction.js';
+
+/**
+ * Operaciones booleanas sobre lenguajes regulares.
+ * Trabajan sobre AFD completos: union, interseccion, diferencia y diferencia
+ * simetrica son el automata producto con distinta regla de aceptacion, y el
+ * complemento invierte la aceptacion respecto al alfabeto dado.
+ */
+class BooleanOperations {
+    /**
+     * Convierte un automata en un AFD completo sobre el alfabeto dado:
+     * determiniza los AFN y dirige las transiciones faltantes a un estado sumidero.
+     * Los estados conservan sus IDs (y originNFAIds si vienen de subconjuntos)
+     * @param {Automaton} automaton - AFN o AFD de entrada (no se modifica)
+     * @param {Array<string>} alphabet - Alfabeto adicional al del automata
+     * @returns {Automaton} AFD completo
+     */
+    toCompleteDFA(automaton, alphabet = []) {
+        const dfa = automaton.type === 'NFA' ? new SubsetConstruction().convertToDFA(automaton) : automaton;
+        const symbols = this.mergeAlphabets(alphabet, automaton.getAlphabet());
+        const complete = new Automaton('DFA');
+        const stateMap = new Map();
+
+        dfa.states.forEach(state => {
+            const copy = new State(state.id, state.isAccepting);
+            if (state.originNFAIds) copy.originNFAIds = state.originNFAIds;
+            complete.addState(copy);
+            stateMap.set(state, copy);
+        });
+        complete.setStartState(stateMap.get(dfa.startState));
+
+        dfa.states.forEach(state => {
+            symbols.forEach(symbol => {
+                state.getTransitions(symbol).forEach(target => complete.addTransition(stateMap.get(state), symbol, stateMap.get(target)));
+            });
+        });
+
+        complete.complete(symbols);
+        return complete;
+    }
+
+    /**
+     * Complemento: acepta exactamente las cadenas del alfabeto que el automata rechaza
+     * @param {Automaton} automaton - AFN o AFD de entrada
+     * @param {Array<string>} alphabet - Alfabeto respecto al que se complementa
+     * @returns {Automaton} AFD completo del complemento
+     */
+    complement(automaton, alphabet = []) {
+        const dfa = this.toCompleteDFA(automaton, alphabet);
+        dfa.acceptStates.clear();
+        dfa.states.forEach(state => {
+            state.isAccepting = !state.isAccepting;
+            if (state.isAccepting) dfa.acceptStates.add(state);
+        });
+        return dfa;
+    }
+
+    /**
+     * Interseccion por construccion del automata producto
+     * @param {Automaton} automaton1 - Primer automata
+     * @param {Automaton} automaton2 - Segundo automata
+     * @param {Array<string>} alphabet - Alfabeto adicional
+     * @returns {Automaton} AFD completo de la interseccion
+     */
+    intersection(automaton1, automaton2, alphabet = []) {
+        return this.product(automaton1, automaton2, (accept1, accept2) => accept1 && accept2, alphabet);
+    }
+
+    /**
+     * Union por construccion del automata producto
+     * @param {Automaton} automaton1 - Primer automata
+     * @param {Automaton} automaton2 - Segundo automata
+     * @param {Array<string>} alphabet - Alfabeto adicional
+     * @returns {Automaton} AFD completo de la union
+     */
+    union(automaton1, automaton2, alphabet = []) {
+        return this.product(automaton1, automaton2, (accept1, accept2) => accept1 || accept2, alphabet);
+    }
+
+    /**
+     * Diferencia L1 \ L2 por construccion del automata producto
+     * @param {Automaton} automaton1 - Primer automata
+     * @param {Automaton} automaton2 - Segundo automata
+     * @param {Array<string>} alphabet - Alfabeto adicional
+     * @returns {Automaton} AFD completo de la diferencia
+     */
+    difference(automaton1, automaton2, alphabet = []) {
+        return this.product(automaton1, automaton2, (accept1, accept2) => accept1 && !accept2, alphabet);
+    }
+
+    /**
+     * Diferencia simetrica (cadenas que acepta exactamente uno de los dos)
+     * @param {Automaton} automaton1 - Primer automata
+     * @param {Automaton} automaton2 - Segundo automata
+     * @param {Array<string>} alphabet - Alfabeto adicional
+     * @returns {Automaton} AFD completo de la diferencia simetrica
+     */
+    symmetricDifference(automaton1, automaton2, alphabet = []) {
+        return this.product(automaton1, automaton2, (accept1, accept2) => accept1 !== accept2, alphabet);
+    }
+
+    /**
+     * Automata producto de dos AFD completos, explorando solo los pares alcanzables.
+     * Cada estado lleva originPair = { first, second }: los IDs de origen en cada
+     * operando (el estado del AFD, o su subconjunto originNFAIds si el operando
+     * era un AFN; [] para el sumidero agregado al completar)
+     * @param {Automaton} automaton1 - Primer automata
+     * @param {Automaton} automaton2 - Segundo automata
+     * @param {Function} accepts - (acepta1, acepta2) => boolean, aceptacion del par
+     * @param {Array<string>} alphabet - Alfabeto adicional
+     * @returns {Automaton} AFD producto
+     */
+    product(automaton1, automaton2, accepts, alphabet = []) {
+        const symbols = this.mergeAlphabets(alphabet, automaton1.getAlphabet(), automaton2.getAlphabet());
+        const dfa1 = this.toCompleteDFA(automaton1, symbols);
+        const dfa2 = this.toCompleteDFA(automaton2, symbols);
+        const origin1 = this.originOf(automaton1, dfa1);
+        const origin2 = this.originOf(automaton2, dfa2);
+
+        const result = new Automaton('DFA');
+        symbols.forEach(symbol => result.alphabet.add(symbol));
+        const pairToState = new Map(); // "p,q" -> estado del producto
+        const pending = [];
+
+        const getOrCreate = (p, q) => {
+            const key = `${p.id},${q.id}`;
+            if (!pairToState.has(key)) {
+                const state = result.createState(accepts(p.isAccepting, q.isAccepting));
+                state.originPair = { first: origin1(p), second: origin2(q) };
+                pairToState.set(key, state);
+                pending.push([p, q]);
+            }
+            return pairToState.get(key);
+        };
+
+        result.setStartState(getOrCreate(dfa1.startState, dfa2.startState));
+
+        while (pending.length) {
+            const [p, q] = pending.shift();
+            const from = pairToState.get(`${p.id},${q.id}`);
+            symbols.forEach(symbol => {
+                const nextP = p.getTransitions(symbol).values().next().value;
+                const nextQ = q.getTransitions(symbol).values().next().value;
+                result.addTransition(from, symbol, getOrCreate(nextP, nextQ));
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * IDs de origen de un estado del AFD completo de un operando
+     * @param {Automaton} automaton - Operando original
+     * @param {Automaton} dfa - Su AFD completo (toCompleteDFA)
+     * @returns {Function} estado -> Array<number>
+     */
+    originOf(automaton, dfa) {
+        return state => {
+            if (state === dfa.sinkState) return [];
+            return automaton.type === 'NFA' ? state.originNFAIds : [state.id];
+        };
+    }
+
+    /**
+     * Une varios alfabetos en uno ordenado y sin repetidos
+     * @param {...Iterable<string>} alphabets - Alfabetos a unir
+     * @returns {Array<string>} Alfabeto combinado
+     */
+    mergeAlphabets(...alphabets) {
+        const symbols = new Set();
+        alphabets.forEach(alphabet => Array.from(alphabet).forEach(symbol => symbols.add(symbol)));
+        return Array.from(symbols).sort();
+    }
+}
+
+export default BooleanOperations;
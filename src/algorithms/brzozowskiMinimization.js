@@ -0,0 +1,238 @@
+import Automaton from '../models/Automaton.js';
+import SubsetConstruction from './subsetConstruction.js';
+import HopcroftMinimization from './hopcroft.js';
+import ClosureOperations from './closureOperations.js';
+
+/**
+ * Minimizacion de Brzozowski: det(rev(det(rev(A)))).
+ * Determinizar el reverso de un automata cuyos estados son todos alcanzables
+ * da un AFD minimo, asi que dos pasadas de reverso + subconjuntos bastan.
+ * Acepta AFN o AFD. Como la construccion de subconjuntos no genera el conjunto
+ * vacio, el resultado es parcial y sin estados muertos; si la entrada es un AFD
+ * completo, la segunda pasada agrega el sumidero, igual que Hopcroft.
+ */
+class BrzozowskiMinimization {
+    constructor() {
+        this.subsetConstruction = new SubsetConstruction();
+    }
+
+    /**
+     * Minimiza un automata por doble reverso y determinizacion
+     * @param {Automaton} automaton - AFN o AFD de entrada (no se modifica)
+     * @returns {Automaton} AFD minimo
+     */
+    minimize(automaton) {
+        return this.run(automaton).minDFA;
+    }
+
+    /**
+     * Minimiza con informacion detallada del proceso, con la misma forma que
+     * HopcroftMinimization.minimizeWithSteps
+     * @param {Automaton} automaton - AFN o AFD de entrada
+     * @returns {Object} Resultado completo de la minimizacion
+     */
+    minimizeWithSteps(automaton) {
+        try {
+            const { reversed, firstPass, reversedAgain, minDFA } = this.run(automaton);
+
+            const steps = [
+                {
+                    step: 1,
+                    action: 'Reverso del automata original',
+                    states: reversed.states.size,
+                    startTargets: this.stateIdsToString(reversed.startState.getEpsilonTransitions())
+                },
+                {
+                    step: 2,
+                    action: 'Construccion de subconjuntos del reverso',
+                    states: firstPass.states.size
+                },
+                {
+                    step: 3,
+                    action: 'Reverso del AFD obtenido',
+                    states: reversedAgain.states.size,
+                    startTargets: this.stateIdsToString(reversedAgain.startState.getEpsilonTransitions())
+                },
+                {
+                    step: 4,
+                    action: 'Construccion de subconjuntos: AFD minimo',
+                    minimalStates: minDFA.states.size
+                }
+            ];
+
+            return {
+                success: true,
+                originalDFA: automaton,
+                minimalDFA: minDFA,
+                steps: steps,
+                stateMapping: this.getStateMapping(automaton, minDFA),
+                statistics: this.getStatistics(automaton, minDFA)
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                minimalDFA: null
+            };
+        }
+    }
+
+    /**
+     * Las dos pasadas, con los automatas intermedios
+     * @param {Automaton} automaton - AFN o AFD de entrada
+     * @returns {Object} { reversed, firstPass, reversedAgain, minDFA }
+     */
+    run(automaton) {
+        const complete = automaton.type !== 'NFA'
+            && new HopcroftMinimization().removeUnreachableStates(automaton).isComplete();
+
+        const reversed = this.reverse(automaton);
+        const firstPass = this.determinize(reversed);
+        const reversedAgain = this.reverse(firstPass);
+        let minDFA = this.determinize(reversedAgain, { complete });
+
+        // Lenguaje vacio: el subconjunto inicial solo tiene el inicial nuevo del
+        // reverso, que equivale al vacio; el minimo es un unico estado
+        if (minDFA.acceptStates.size === 0) {
+            minDFA = new Automaton('DFA');
+            automaton.alphabet.forEach(symbol => minDFA.alphabet.add(symbol));
+            const start = minDFA.createState(false);
+            minDFA.setStartState(start);
+            if (complete) minDFA.getAlphabet().forEach(symbol => minDFA.addTransition(start, symbol, start));
+        }
+
+        // Numeracion consecutiva, como la de Hopcroft (el inicial descartado deja un hueco)
+        const states = Array.from(minDFA.states.values());
+        minDFA.states.clear();
+        states.forEach((state, index) => {
+            state.id = index;
+            minDFA.states.set(index, state);
+        });
+        minDFA.stateCounter = states.length;
+        minDFA.type = 'MinDFA';
+        return { reversed, firstPass, reversedAgain, minDFA };
+    }
+
+    /**
+     * Construccion de subconjuntos del reverso. El inicial nuevo del reverso
+     * solo aparece en el subconjunto inicial y no tiene transiciones propias,
+     * asi que si otro subconjunto es igual al inicial sin el, ambos son
+     * equivalentes: se descarta el inicial (nadie llega a el) y el otro pasa a serlo
+     * @param {Automaton} reversed - AFN devuelto por reverse
+     * @param {Object} options - Opciones de SubsetConstruction.convertToDFA
+     * @returns {Automaton} AFD
+     */
+    determinize(reversed, options = {}) {
+        const dfa = this.subsetConstruction.convertToDFA(reversed, options);
+        const sets = this.subsetConstruction.idToStateSet;
+        const startSet = Array.from(sets.get(dfa.startState.id)).filter(state => state !== reversed.startState);
+        const key = set => Array.from(set).map(state => state.id).sort((a, b) => a - b).join(',');
+
+        const twin = Array.from(dfa.states.values()).find(state =>
+            state !== dfa.startState && sets.get(state.id).size === startSet.length && key(sets.get(state.id)) === key(startSet));
+        if (twin) {
+            dfa.states.delete(dfa.startState.id);
+            dfa.acceptStates.delete(dfa.startState);
+            dfa.setStartState(twin);
+            // El sumidero de complete puede haber quedado inalcanzable
+            return new HopcroftMinimization().removeUnreachableStates(dfa);
+        }
+        return dfa;
+    }
+
+    /**
+     * Reverso con un inicial nuevo que va por epsilon a los antiguos estados
+     * de aceptacion (ClosureOperations.reverse); determinize depende de ese inicial
+     * @param {Automaton} automaton - Automata a invertir (no se modifica)
+     * @returns {Automaton} AFN del lenguaje reverso
+     */
+    reverse(automaton) {
+        return new ClosureOperations().reverse(automaton);
+    }
+
+    /**
+     * Mapeo de estados minimos a estados originales, recorriendo en paralelo
+     * ambos automatas desde sus estados iniciales. Los estados muertos del
+     * original no aparecen; en un AFN un estado puede caer en varias clases
+     * @param {Automaton} original - Automata de entrada
+     * @param {Automaton} minDFA - AFD minimo
+     * @returns {Object} Mapeo de estados
+     */
+    getStateMapping(original, minDFA) {
+        const classes = new Map(); // estado minimo -> estados originales
+        const visited = new Set();
+        const queue = [];
+
+        const visit = (originalState, minState) => {
+            const key = `${originalState.id},${minState.id}`;
+            if (visited.has(key)) return;
+            visited.add(key);
+            if (!classes.has(minState)) classes.set(minState, new Set());
+            classes.get(minState).add(originalState.id);
+            queue.push([originalState, minState]);
+        };
+
+        original.epsilonClosure(new Set([original.startState])).forEach(state => visit(state, minDFA.startState));
+
+        while (queue.length > 0) {
+            const [originalState, minState] = queue.shift();
+            originalState.transitions.forEach((targets, symbol) => {
+                const minTargets = minState.getTransitions(symbol);
+                if (minTargets.size === 0) return;
+                const minTarget = minTargets.values().next().value;
+                original.epsilonClosure(targets).forEach(target => visit(target, minTarget));
+            });
+        }
+
+        const mapping = {};
+        Array.from(minDFA.states.values()).forEach(minState => {
+            mapping[minState.id] = {
+                minimalState: minState.id,
+                originalStates: Array.from(classes.get(minState) || []).sort((a, b) => a - b),
+                isAccepting: minState.isAccepting
+            };
+        });
+
+        return mapping;
+    }
+
+    /**
+     * Obtiene estadisticas de la minimizacion (mismas claves que Hopcroft)
+     * @param {Automaton} original - Automata original
+     * @param {Automaton} minDFA - AFD minimo
+     * @returns {Object} Estadisticas
+     */
+    getStatistics(original, minDFA) {
+        const originalTransitions = this.countTransitions(original);
+        const minimalTransitions = this.countTransitions(minDFA);
+
+        return {
+            originalStates: original.states.size,
+            minimalStates: minDFA.states.size,
+            stateReduction: original.states.size - minDFA.states.size,
+            stateReductionPercent: ((original.states.size - minDFA.states.size) / original.states.size * 100).toFixed(2) + '%',
+            originalTransitions: originalTransitions,
+            minimalTransitions: minimalTransitions,
+            transitionReduction: originalTransitions - minimalTransitions,
+            alphabetSize: original.alphabet.size,
+            partitionCount: minDFA.states.size
+        };
+    }
+
+    countTransitions(automaton) {
+        let count = 0;
+        automaton.states.forEach(state => {
+            state.transitions.forEach(targets => {
+                count += targets.size;
+            });
+        });
+        return count;
+    }
+
+    stateIdsToString(states) {
+        return `{${Array.from(states).map(state => state.id).sort((a, b) => a - b).join(',')}}`;
+    }
+}
+
+export default BrzozowskiMinimization;
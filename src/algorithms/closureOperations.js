@@ -0,0 +1,172 @@
+import Automaton from '../models/Automaton.js';
+import ThompsonNFA from './thompsonNFA.js';
+import SubsetConstruction from './subsetConstruction.js';
+import BooleanOperations from './booleanOperations.js';
+
+/**
+ * Operaciones de clausura sobre automatas ya construidos: reverso,
+ * concatenacion, estrella de Kleene, complemento, homomorfismo y homomorfismo
+ * inverso. Ninguna modifica sus entradas: la concatenacion y la estrella usan
+ * los fragmentos de ThompsonNFA sobre copias (cloneFragment), porque esos
+ * fragmentos desmarcan los estados de aceptacion de sus operandos.
+ */
+class ClosureOperations {
+    /**
+     * Reverso: invierte todas las transiciones (incluidas las epsilon), el
+     * inicial original pasa a ser el unico de aceptacion y un estado inicial
+     * nuevo va por epsilon a los antiguos estados de aceptacion
+     * @param {Automaton} automaton - AFN o AFD
+     * @returns {Automaton} AFN del lenguaje reverso
+     */
+    reverse(automaton) {
+        const reversed = new Automaton('NFA');
+        automaton.alphabet.forEach(symbol => reversed.alphabet.add(symbol));
+        const stateMap = new Map();
+
+        automaton.states.forEach(state => {
+            stateMap.set(state, reversed.createState(state === automaton.startState));
+        });
+
+        automaton.states.forEach(state => {
+            state.transitions.forEach((targets, symbol) => {
+                targets.forEach(target => reversed.addTransition(stateMap.get(target), symbol, stateMap.get(state)));
+            });
+            state.getEpsilonTransitions().forEach(target => {
+                reversed.addTransition(stateMap.get(target), 'ε', stateMap.get(state));
+            });
+        });
+
+        const start = reversed.createState(false);
+        reversed.setStartState(start);
+        automaton.acceptStates.forEach(state => reversed.addTransition(start, 'ε', stateMap.get(state)));
+
+        return reversed;
+    }
+
+    /**
+     * Concatenacion L1·L2 (fragmento de Thompson sobre copias)
+     * @param {Automaton} automaton1 - Primer automata
+     * @param {Automaton} automaton2 - Segundo automata
+     * @returns {Automaton} AFN de la concatenacion
+     */
+    concatenate(automaton1, automaton2) {
+        const thompson = new ThompsonNFA();
+        const result = thompson.concatenation(thompson.cloneFragment(automaton1), thompson.cloneFragment(automaton2));
+        result.stateCounter = thompson.nextStateId;
+        return result;
+    }
+
+    /**
+     * Estrella de Kleene L* (fragmento de Thompson sobre una copia)
+     * @param {Automaton} automaton - Automata de entrada
+     * @returns {Automaton} AFN de la estrella
+     */
+    star(automaton) {
+        const thompson = new ThompsonNFA();
+        const result = thompson.kleeneStar(thompson.cloneFragment(automaton));
+        result.stateCounter = thompson.nextStateId;
+        return result;
+    }
+
+    /**
+     * Complemento respecto al alfabeto del automata mas el alfabeto dado
+     * @param {Automaton} automaton - AFD (los AFN se determinizan antes)
+     * @param {Array<string>} alphabet - Simbolos adicionales
+     * @returns {Automaton} AFD completo del complemento
+     */
+    complement(automaton, alphabet = []) {
+        return new BooleanOperations().complement(automaton, alphabet);
+    }
+
+    /**
+     * Homomorfismo h(L): cada transicion p --a--> q se reemplaza por un camino
+     * que lee h(a) (una transicion epsilon si h(a) es la cadena vacia)
+     * @param {Automaton} automaton - Automata de L
+     * @param {Object|Map} mapping - simbolo -> imagen (cadena o arreglo de simbolos)
+     * @returns {Automaton} AFN de h(L)
+     */
+    homomorphism(automaton, mapping) {
+        const images = this.normalizeMapping(mapping);
+        const result = new Automaton('NFA');
+        const stateMap = new Map();
+
+        automaton.states.forEach(state => stateMap.set(state, result.createState(state.isAccepting)));
+        result.setStartState(stateMap.get(automaton.startState));
+
+        automaton.states.forEach(state => {
+            const from = stateMap.get(state);
+            state.getEpsilonTransitions().forEach(target => result.addTransition(from, 'ε', stateMap.get(target)));
+            state.transitions.forEach((targets, symbol) => {
+                const image = this.imageOf(images, symbol);
+                targets.forEach(target => {
+                    if (image.length === 0) {
+                        result.addTransition(from, 'ε', stateMap.get(target));
+                        return;
+                    }
+                    // Estados intermedios para las imagenes de mas de un simbolo
+                    let current = from;
+                    image.forEach((imageSymbol, index) => {
+                        const next = index === image.length - 1 ? stateMap.get(target) : result.createState(false);
+                        result.addTransition(current, imageSymbol, next);
+                        current = next;
+                    });
+                });
+            });
+        });
+
+        images.forEach(image => image.forEach(symbol => result.alphabet.add(symbol)));
+        return result;
+    }
+
+    /**
+     * Homomorfismo inverso h⁻¹(L) = { w : h(w) ∈ L }: sobre el AFD de L, la
+     * transicion q --a--> q' existe si leer h(a) desde q lleva a q'
+     * @param {Automaton} automaton - Automata de L (alfabeto de las imagenes)
+     * @param {Object|Map} mapping - simbolo -> imagen (cadena o arreglo de simbolos)
+     * @returns {Automaton} AFD parcial de h⁻¹(L) sobre las claves de mapping
+     */
+    inverseHomomorphism(automaton, mapping) {
+        const images = this.normalizeMapping(mapping);
+        const dfa = automaton.type === 'NFA' ? new SubsetConstruction().convertToDFA(automaton) : automaton;
+        const result = new Automaton('DFA');
+        const stateMap = new Map();
+
+        dfa.states.forEach(state => stateMap.set(state, result.createState(state.isAccepting)));
+        result.setStartState(stateMap.get(dfa.startState));
+
+        dfa.states.forEach(state => {
+            images.forEach((image, symbol) => {
+                let current = state;
+                for (const imageSymbol of image) {
+                    current = current.getTransitions(imageSymbol).values().next().value;
+                    if (!current) return;
+                }
+                result.addTransition(stateMap.get(state), symbol, stateMap.get(current));
+            });
+        });
+
+        images.forEach((image, symbol) => result.alphabet.add(symbol));
+        return result;
+    }
+
+    /**
+     * @param {Object|Map} mapping - simbolo -> cadena o arreglo de simbolos
+     * @returns {Map<string, Array<string>>} simbolo -> imagen como arreglo de simbolos
+     */
+    normalizeMapping(mapping) {
+        const entries = mapping instanceof Map ? Array.from(mapping) : Object.entries(mapping);
+        // Una cadena se separa por puntos de codigo; los simbolos de varios caracteres van en un arreglo
+        return new Map(entries.map(([symbol, image]) => [symbol, Array.from(image)]));
+    }
+
+    imageOf(images, symbol) {
+        if (!images.has(symbol)) {
+            const error = new Error(`El homomorfismo no define la imagen del simbolo '${symbol}'`);
+            error.code = 'UNDEFINED_IMAGE';
+            throw error;
+        }
+        return images.get(symbol);
+    }
+}
+
+export default ClosureOperations;
@@ -0,0 +1,272 @@
+import Automaton from '../models/Automaton.js';
+import ShuntingYard from './shuntingYard.js';
+import RegexParser from './regexParser.js';
+
+/**
+ * Construccion directa de un AFD desde la expresion regular (Aho-Sethi-Ullman).
+ * Se aumenta la expresion con un marcador de fin (r#), se numeran las hojas
+ * y cada nodo del arbol se anota con anulable, firstpos y lastpos. Con ellos
+ * se llena la tabla followpos, y cada estado del AFD es un conjunto de posiciones:
+ *
+ *   inicio = firstpos(raiz)
+ *   mover(S, a) = union de followpos(p) para cada p de S con simbolo a
+ *
+ * Es de aceptacion el estado que contiene la posicion de #. El AFD resultante
+ * es parcial (sin estado sumidero), igual que el de SubsetConstruction.
+ */
+class DirectDFA {
+    constructor() {
+        this.shuntingYard = new ShuntingYard();
+        this.parser = new RegexParser();
+        this.endMarker = '#';
+        this.positions = []; // posicion - 1 -> simbolo (null para el marcador de fin)
+        this.followpos = new Map(); // posicion -> Set de posiciones
+        this.tree = null; // Arbol aumentado y anotado
+        this.nextNodeId = 1;
+    }
+
+    /**
+     * Construye el AFD directamente desde una expresion infija o desde su AST
+     * @param {string|Object} regex - Expresion regular o AST de RegexParser
+     * @param {Object} options - { alphabet, definitions } como en ThompsonNFA.fromRegex
+     * @returns {Object} Resultado con el arbol anotado, la tabla followpos, el AFD y los pasos
+     */
+    fromRegex(regex, options = {}) {
+        try {
+            let ast = regex;
+            let alphabet;
+
+            if (typeof regex === 'string') {
+                const validation = this.shuntingYard.validate(regex, options);
+                if (!validation.isValid) {
+                    return { success: false, errors: validation.errors, diagnostics: validation.diagnostics, dfa: null };
+                }
+                const expression = this.shuntingYard.expandDefinitions(regex, options);
+                ast = this.parser.parse(expression, { alphabet: options.alphabet });
+                alphabet = expression ? this.shuntingYard.resolveAlphabet(this.shuntingYard.tokenize(expression), options.alphabet) : [];
+            } else {
+                alphabet = options.alphabet ? this.shuntingYard.resolveAlphabet([], options.alphabet) : this.parser.collectSymbols(ast);
+            }
+
+            const dfa = this.buildFromAST(ast, alphabet);
+            return {
+                success: true,
+                original: typeof regex === 'string' ? regex : null,
+                postfix: this.parser.toPostfix(ast),
+                ast,
+                tree: this.tree,
+                followpos: this.getFollowposTable(),
+                dfa,
+                steps: this.getConstructionSteps(dfa)
+            };
+        } catch (error) {
+            return { success: false, errors: [error.message], dfa: null };
+        }
+    }
+
+    /**
+     * Construye el AFD a partir del AST de RegexParser
+     * @param {Object} ast - Arbol sintactico
+     * @param {Array<string>} alphabet - Alfabeto del AFD
+     * @returns {Automaton} AFD (parcial) compatible con HopcroftMinimization.minimize
+     */
+    buildFromAST(ast, alphabet = this.parser.collectSymbols(ast)) {
+        this.positions = [];
+        this.followpos = new Map();
+        this.nextNodeId = 1;
+
+        const body = this.annotate(ast);
+        const marker = this.annotateLeaf(this.endMarker, null);
+        this.tree = this.annotateConcat(body, marker);
+        const endPosition = marker.position;
+
+        const dfa = new Automaton('DFA');
+        alphabet.forEach(symbol => dfa.alphabet.add(symbol));
+        const keyToState = new Map();
+        const pending = [];
+
+        const getOrCreate = positions => {
+            const key = this.positionsToString(positions);
+            if (!keyToState.has(key)) {
+                const state = dfa.createState(positions.has(endPosition));
+                state.positions = Array.from(positions).sort((a, b) => a - b);
+                keyToState.set(key, state);
+                pending.push(positions);
+            }
+            return keyToState.get(key);
+        };
+
+        dfa.setStartState(getOrCreate(new Set(this.tree.firstpos)));
+
+        while (pending.length) {
+            const positions = pending.shift();
+            const from = keyToState.get(this.positionsToString(positions));
+            alphabet.forEach(symbol => {
+                const next = this.move(positions, symbol);
+                if (next.size > 0) dfa.addTransition(from, symbol, getOrCreate(next));
+            });
+        }
+
+        return dfa;
+    }
+
+    /**
+     * Union de followpos(p) para las posiciones p del conjunto con el simbolo dado
+     * @param {Set<number>} positions - Estado del AFD
+     * @param {string} symbol - Simbolo
+     * @returns {Set<number>} Posiciones del estado destino
+     */
+    move(positions, symbol) {
+        const result = new Set();
+        positions.forEach(position => {
+            if (this.positions[position - 1] === symbol) {
+                this.followpos.get(position).forEach(next => result.add(next));
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Anota un nodo del AST (y sus hijos) con anulable, firstpos y lastpos,
+     * numerando las hojas de izquierda a derecha y llenando followpos
+     * @param {Object} node - Nodo del AST
+     * @returns {Object} Nodo anotado { id, type, label, position?, nullable, firstpos, lastpos, children }
+     */
+    annotate(node) {
+        switch (node.type) {
+            case 'Symbol':
+                return this.annotateLeaf(node.value, node.value);
+            case 'Epsilon':
+                return this.annotated('Epsilon', 'ε', [], true, [], []);
+            case 'Empty':
+                return this.annotated('Empty', '∅', [], false, [], []);
+            case 'Concat':
+                return this.annotateConcat(this.annotate(node.left), this.annotate(node.right));
+            case 'Union': {
+                const left = this.annotate(node.left);
+                const right = this.annotate(node.right);
+                return this.annotated('Union', '|', [left, right], left.nullable || right.nullable,
+                    [...left.firstpos, ...right.firstpos], [...left.lastpos, ...right.lastpos]);
+            }
+            case 'Star':
+            case 'Plus': {
+                const child = this.annotate(node.expr);
+                child.lastpos.forEach(position => this.addFollowpos(position, child.firstpos));
+                const label = node.type === 'Star' ? '*' : '+';
+                return this.annotated(node.type, label, [child], node.type === 'Star' || child.nullable, child.firstpos, child.lastpos);
+            }
+            case 'Optional': {
+                const child = this.annotate(node.expr);
+                return this.annotated('Optional', '?', [child], true, child.firstpos, child.lastpos);
+            }
+            case 'Repeat':
+                return this.annotate(this.parser.expandRepeat(node));
+            case 'Intersection':
+            case 'Complement': {
+                const operator = node.type === 'Intersection' ? '&' : '~';
+                const error = new Error(`La construccion directa no admite el operador '${operator}'; use Thompson y subconjuntos`);
+                error.code = 'UNSUPPORTED_OPERATOR';
+                error.span = node.span;
+                throw error;
+            }
+            default:
+                throw new Error(`Tipo de nodo desconocido: ${node.type}`);
+        }
+    }
+
+    /**
+     * Crea una hoja con posicion propia
+     * @param {string} label - Texto de la hoja
+     * @param {string|null} symbol - Simbolo de la posicion (null para el marcador de fin)
+     * @returns {Object} Hoja anotada
+     */
+    annotateLeaf(label, symbol) {
+        this.positions.push(symbol);
+        const position = this.positions.length;
+        this.followpos.set(position, new Set());
+        const leaf = this.annotated('Symbol', label, [], false, [position], [position]);
+        leaf.position = position;
+        return leaf;
+    }
+
+    annotateConcat(left, right) {
+        left.lastpos.forEach(position => this.addFollowpos(position, right.firstpos));
+        return this.annotated('Concat', '·', [left, right], left.nullable && right.nullable,
+            left.nullable ? [...left.firstpos, ...right.firstpos] : left.firstpos,
+            right.nullable ? [...left.lastpos, ...right.lastpos] : right.lastpos);
+    }
+
+    annotated(type, label, children, nullable, firstpos, lastpos) {
+        const sort = positions => Array.from(new Set(positions)).sort((a, b) => a - b);
+        return { id: this.nextNodeId++, type, label, nullable, firstpos: sort(firstpos), lastpos: sort(lastpos), children };
+    }
+
+    addFollowpos(position, positions) {
+        positions.forEach(next => this.followpos.get(position).add(next));
+    }
+
+    /**
+     * Tabla followpos de la ultima construccion
+     * @returns {Array<Object>} Filas { position, symbol, followpos }
+     */
+    getFollowposTable() {
+        return this.positions.map((symbol, index) => ({
+            position: index + 1,
+            symbol: symbol === null ? this.endMarker : symbol,
+            followpos: Array.from(this.followpos.get(index + 1)).sort((a, b) => a - b)
+        }));
+    }
+
+    /**
+     * Arbol anotado en texto, un nodo por linea con sangria segun la profundidad
+     * @param {Object} node - Nodo anotado (por defecto la raiz)
+     * @param {number} depth - Profundidad del nodo
+     * @returns {Array<string>} Lineas del arbol
+     */
+    treeToLines(node = this.tree, depth = 0) {
+        const label = node.position ? `${node.label} [${node.position}]` : node.label;
+        const line = `${'  '.repeat(depth)}${label}  anulable=${node.nullable ? 'si' : 'no'} ` +
+            `firstpos=${this.positionsToString(node.firstpos)} lastpos=${this.positionsToString(node.lastpos)}`;
+        return [line, ...node.children.flatMap(child => this.treeToLines(child, depth + 1))];
+    }
+
+    /**
+     * Genera los pasos de la ultima construccion para reportes
+     * @param {Automaton} dfa - AFD construido por buildFromAST
+     * @returns {Array<Object>} Pasos { step, action, ... }
+     */
+    getConstructionSteps(dfa) {
+        const steps = [];
+        const add = (action, extra = {}) => steps.push({ step: steps.length + 1, action, ...extra });
+
+        add(`Aumentar la expresion con el marcador de fin '${this.endMarker}' y numerar las hojas`,
+            { positions: this.getFollowposTable().map(({ position, symbol }) => ({ position, symbol })) });
+        add('Arbol sintactico anotado (anulable, firstpos, lastpos)', { tree: this.treeToLines() });
+        add('Tabla followpos', { table: this.getFollowposTable() });
+        add(`Estado inicial del AFD: firstpos(raiz) = ${this.positionsToString(this.tree.firstpos)}`, { dfaStateId: dfa.startState.id });
+
+        dfa.states.forEach(state => {
+            const from = this.positionsToString(state.positions);
+            dfa.getAlphabet().forEach(symbol => {
+                const target = state.getTransitions(symbol).values().next().value;
+                if (!target) return;
+                add(`mover(${from}, '${symbol}') = ${this.positionsToString(target.positions)}`, {
+                    from: state.id,
+                    symbol,
+                    to: target.id,
+                    isAccepting: target.isAccepting
+                });
+            });
+        });
+
+        const accepting = Array.from(dfa.acceptStates).map(state => state.id);
+        add(`Estados de aceptacion (contienen la posicion de '${this.endMarker}'): {${accepting.join(', ')}}`);
+        return steps;
+    }
+
+    positionsToString(positions) {
+        return `{${Array.from(positions).sort((a, b) => a - b).join(',')}}`;
+    }
+}
+
+export default DirectDFA;
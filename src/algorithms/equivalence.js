@@ -0,0 +1,153 @@
+import ThompsonNFA from './thompsonNFA.js';
+import SymbolTokenizer from '../utils/symbolTokenizer.js';
+
+/**
+ * Equivalencia e inclusion de lenguajes entre dos automatas (AFN o AFD) o
+ * expresiones regulares. Los AFN se determinizan sobre la marcha
+ * (Automaton.subsetView): cada estado es el subconjunto alcanzado (clausura
+ * epsilon incluida) y una transicion ausente lleva al subconjunto vacio, que
+ * rechaza todo.
+ *
+ * - La equivalencia se decide con Hopcroft-Karp: union-find sobre los estados
+ *   de ambos lados, uniendo los pares alcanzados con la misma cadena.
+ * - Si no son equivalentes (o para la inclusion) se busca el contraejemplo por
+ *   BFS sobre el automata producto, asi que es una cadena de longitud minima
+ *   (y, entre esas, la primera segun el orden del alfabeto). Los simbolos de
+ *   varios caracteres van entre comillas, como en las expresiones ('if').
+ */
+class LanguageEquivalence {
+    /**
+     * ¿L(first) = L(second)?
+     * @param {Automaton|string} first - Automata o expresion regular
+     * @param {Automaton|string} second - Automata o expresion regular
+     * @param {Object} options - { alphabet, definitions } para las expresiones
+     * @returns {Object} { success, equivalent, counterexample, acceptedBy: 'first'|'second'|null }
+     */
+    equivalent(first, second, options = {}) {
+        const prepared = this.prepare(first, second, options);
+        if (!prepared.success) return prepared;
+        const { left, right, symbols } = prepared;
+
+        if (this.hopcroftKarp(left, right, symbols)) {
+            return { success: true, equivalent: true, counterexample: null, acceptedBy: null };
+        }
+
+        const found = this.findCounterexample(left, right, symbols, (inFirst, inSecond) => inFirst !== inSecond);
+        return {
+            success: true,
+            equivalent: false,
+            counterexample: found.word,
+            acceptedBy: found.inFirst ? 'first' : 'second'
+        };
+    }
+
+    /**
+     * ¿L(first) ⊆ L(second)?
+     * @param {Automaton|string} first - Automata o expresion regular
+     * @param {Automaton|string} second - Automata o expresion regular
+     * @param {Object} options - { alphabet, definitions } para las expresiones
+     * @returns {Object} { success, included, counterexample } (la cadena minima de L(first) \ L(second))
+     */
+    isSubset(first, second, options = {}) {
+        const prepared = this.prepare(first, second, options);
+        if (!prepared.success) return prepared;
+        const { left, right, symbols } = prepared;
+
+        const found = this.findCounterexample(left, right, symbols, (inFirst, inSecond) => inFirst && !inSecond);
+        return { success: true, included: found === null, counterexample: found ? found.word : null };
+    }
+
+    /**
+     * Convierte las expresiones en AFN y arma el alfabeto comun
+     * @returns {Object} { success, left, right, symbols } o { success: false, errors, diagnostics }
+     */
+    prepare(first, second, options) {
+        const automata = [];
+        for (const input of [first, second]) {
+            if (typeof input === 'string') {
+                const result = new ThompsonNFA().fromRegex(input, options);
+                if (!result.success) {
+                    return { success: false, errors: result.errors, diagnostics: result.diagnostics };
+                }
+                automata.push(result.nfa);
+            } else {
+                automata.push(input);
+            }
+        }
+
+        const symbols = Array.from(new Set([...(options.alphabet || []), ...automata[0].alphabet, ...automata[1].alphabet]));
+        return { success: true, left: automata[0].subsetView(), right: automata[1].subsetView(), symbols };
+    }
+
+    /**
+     * Hopcroft-Karp: une los estados iniciales y, en cada par unido, los
+     * sucesores con cada simbolo. Son equivalentes si ningun par unido
+     * difiere en aceptacion (casi lineal en el numero de estados)
+     * @returns {boolean} Si los lenguajes son iguales
+     */
+    hopcroftKarp(left, right, symbols) {
+        const parent = new Map();
+        const find = node => {
+            let root = node;
+            while (parent.has(root) && parent.get(root) !== root) root = parent.get(root);
+            // Compresion de caminos
+            while (node !== root) {
+                const next = parent.get(node);
+                parent.set(node, root);
+                node = next;
+            }
+            return root;
+        };
+
+        // Los estados de cada lado se prefijan para que no choquen las claves
+        const pending = [[left.start, right.start]];
+        parent.set(`1:${left.start}`, `2:${right.start}`);
+
+        while (pending.length > 0) {
+            const [p, q] = pending.pop();
+            if (left.accepting(p) !== right.accepting(q)) return false;
+            for (const symbol of symbols) {
+                const nextP = left.next(p, symbol);
+                const nextQ = right.next(q, symbol);
+                const rootP = find(`1:${nextP}`);
+                const rootQ = find(`2:${nextQ}`);
+                if (rootP !== rootQ) {
+                    parent.set(rootP, rootQ);
+                    pending.push([nextP, nextQ]);
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * BFS sobre el producto hasta un par que cumpla el criterio
+     * @param {Function} differs - (aceptaIzquierda, aceptaDerecha) => boolean
+     * @returns {Object|null} { word, inFirst, inSecond } o null si no hay tal par
+     */
+    findCounterexample(left, right, symbols, differs) {
+        const startKey = `${left.start}|${right.start}`;
+        const visited = new Set([startKey]);
+        const queue = [{ p: left.start, q: right.start, word: [] }];
+
+        for (let head = 0; head < queue.length; head++) {
+            const { p, q, word } = queue[head];
+            const inFirst = left.accepting(p);
+            const inSecond = right.accepting(q);
+            if (differs(inFirst, inSecond)) return { word: word.map(SymbolTokenizer.format).join(''), inFirst, inSecond };
+
+            for (const symbol of symbols) {
+                const nextP = left.next(p, symbol);
+                const nextQ = right.next(q, symbol);
+                const key = `${nextP}|${nextQ}`;
+                if (!visited.has(key)) {
+                    visited.add(key);
+                    queue.push({ p: nextP, q: nextQ, word: [...word, symbol] });
+                }
+            }
+        }
+        return null;
+    }
+}
+
+export default LanguageEquivalence;
@@ -0,0 +1,141 @@
+import Automaton from '../models/Automaton.js';
+import RegexParser from './regexParser.js';
+
+/**
+ * Construccion de Glushkov (automata de posiciones).
+ * Cada aparicion de un simbolo en la expresion es una posicion 1..n; el AFN
+ * tiene un estado inicial 0 y un estado por posicion, sin transiciones epsilon:
+ *
+ *   0 --a--> i  si i esta en First y su simbolo es a
+ *   i --a--> j  si j esta en Follow(i) y su simbolo es a
+ *
+ * Aceptan las posiciones de Last, y el estado 0 si la expresion acepta ε.
+ * La interseccion (&) y el complemento (~) no tienen equivalente por posiciones.
+ */
+class GlushkovNFA {
+    constructor() {
+        this.parser = new RegexParser();
+        this.positions = []; // posicion - 1 -> simbolo
+        this.follow = new Map(); // posicion -> Set de posiciones siguientes
+    }
+
+    /**
+     * Construye el AFN de posiciones a partir del AST de RegexParser
+     * @param {Object} ast - Arbol sintactico
+     * @param {Array<string>} alphabet - Alfabeto del automata
+     * @returns {Automaton} AFN sin transiciones epsilon con n+1 estados
+     */
+    buildFromAST(ast, alphabet = []) {
+        const { nullable, first, last } = this.analyze(ast);
+        const nfa = new Automaton('NFA');
+
+        const start = nfa.createState(nullable);
+        const states = this.positions.map((symbol, index) => nfa.createState(last.has(index + 1)));
+        nfa.setStartState(start);
+
+        first.forEach(position => nfa.addTransition(start, this.positions[position - 1], states[position - 1]));
+        this.follow.forEach((targets, position) => {
+            targets.forEach(target => nfa.addTransition(states[position - 1], this.positions[target - 1], states[target - 1]));
+        });
+
+        alphabet.forEach(symbol => nfa.alphabet.add(symbol));
+        return nfa;
+    }
+
+    /**
+     * Numera las posiciones y calcula Anulable, First, Last y Follow
+     * @param {Object} ast - Arbol sintactico
+     * @returns {Object} { nullable, first, last } de la expresion completa (Follow queda en this.follow)
+     */
+    analyze(ast) {
+        this.positions = [];
+        this.follow = new Map();
+        return this.visit(ast);
+    }
+
+    /**
+     * Calcula los conjuntos de un nodo, numerando sus simbolos de izquierda a derecha
+     * @param {Object} node - Nodo del AST
+     * @returns {Object} { nullable, first: Set, last: Set }
+     */
+    visit(node) {
+        switch (node.type) {
+            case 'Symbol': {
+                this.positions.push(node.value);
+                const position = this.positions.length;
+                this.follow.set(position, new Set());
+                return { nullable: false, first: new Set([position]), last: new Set([position]) };
+            }
+            case 'Epsilon':
+                return { nullable: true, first: new Set(), last: new Set() };
+            case 'Empty':
+                return { nullable: false, first: new Set(), last: new Set() };
+            case 'Concat': {
+                const left = this.visit(node.left);
+                const right = this.visit(node.right);
+                left.last.forEach(position => right.first.forEach(next => this.follow.get(position).add(next)));
+                return {
+                    nullable: left.nullable && right.nullable,
+                    first: left.nullable ? new Set([...left.first, ...right.first]) : left.first,
+                    last: right.nullable ? new Set([...left.last, ...right.last]) : right.last
+                };
+            }
+            case 'Union': {
+                const left = this.visit(node.left);
+                const right = this.visit(node.right);
+                return {
+                    nullable: left.nullable || right.nullable,
+                    first: new Set([...left.first, ...right.first]),
+                    last: new Set([...left.last, ...right.last])
+                };
+            }
+            case 'Star':
+            case 'Plus': {
+                const inner = this.visit(node.expr);
+                inner.last.forEach(position => inner.first.forEach(next => this.follow.get(position).add(next)));
+                return { ...inner, nullable: node.type === 'Star' || inner.nullable };
+            }
+            case 'Optional':
+                return { ...this.visit(node.expr), nullable: true };
+            case 'Repeat':
+                return this.visit(this.parser.expandRepeat(node));
+            case 'Intersection':
+            case 'Complement': {
+                const operator = node.type === 'Intersection' ? '&' : '~';
+                const error = new Error(`La construccion de Glushkov no admite el operador '${operator}'; use la construccion de Thompson`);
+                error.code = 'UNSUPPORTED_OPERATOR';
+                error.span = node.span;
+                throw error;
+            }
+            default:
+                throw new Error(`Tipo de nodo desconocido: ${node.type}`);
+        }
+    }
+
+    /**
+     * Genera los pasos de la construccion: posiciones y sus conjuntos
+     * @param {Object} ast - Arbol sintactico
+     * @returns {Array<Object>} Pasos { step, description, action, positions?, set? }
+     */
+    getConstructionSteps(ast) {
+        const { nullable, first, last } = this.analyze(ast);
+        const format = set => `{${Array.from(set).sort((a, b) => a - b).join(', ')}}`;
+        const steps = [];
+        const add = (description, action, extra = {}) => steps.push({ step: steps.length, description, action, ...extra });
+
+        const positions = this.positions.map((symbol, index) => ({ position: index + 1, symbol }));
+        add('Linealizacion', `Numerar los simbolos: ${positions.map(p => `${p.symbol}${p.position}`).join(' ') || '(sin posiciones)'}`, { positions });
+        add('Anulable', nullable ? 'La expresion acepta ε: el estado 0 es de aceptacion' : 'La expresion no acepta ε');
+        add('First', `First = ${format(first)}`, { set: Array.from(first) });
+        add('Last', `Last = ${format(last)}`, { set: Array.from(last) });
+        this.follow.forEach((targets, position) => {
+            add(`Follow(${position})`, `Follow(${position}) = ${format(targets)}`, { position, set: Array.from(targets) });
+        });
+
+        const accepting = [...(nullable ? [0] : []), ...last];
+        add('Construccion', `Estado 0 mas un estado por posicion (${positions.length + 1} estados); aceptacion: ${format(accepting)}`);
+        return steps;
+    }
+}
+
+export default GlushkovNFA;
@@ -3,13 +3,22 @@ import State from '../models/State.js';
 
 /**
  * Implementacion del algoritmo de minimizacion de Hopcroft
- * para obtener el AFD minimo eliminando estados equivalentes
+ * para obtener el AFD minimo eliminando estados equivalentes.
+ * Un AFD parcial se minimiza como si sus transiciones faltantes fueran a un
+ * sumidero implicito; los estados equivalentes al sumidero (muertos) no pasan
+ * al resultado, que sigue siendo parcial. Un AFD completo da un AFD minimo completo.
  */
 class HopcroftMinimization {
     constructor() {
         this.partitions = []; // Particiones actuales
-        this.workList = []; // Lista de trabajo para refinamiento
+        this.workList = []; // Lista de trabajo: pares (particion, simbolo) como indices
+        this.pending = []; // Por simbolo, particiones que ya estan en la lista de trabajo
         this.stateToPartition = new Map(); // Mapeo estado -> particion
+        this.symbols = []; // Alfabeto del AFD que se minimiza
+        this.inverse = []; // Por simbolo, estado -> predecesores
+        this.sink = null; // Sumidero implicito (solo para AFD parciales)
+        this.deadStates = []; // Estados descartados por ser equivalentes al sumidero
+        this.emptyLanguage = false; // AFD parcial cuyo estado inicial es muerto
     }
 
     /**
@@ -25,8 +34,8 @@ class HopcroftMinimization {
         // Paso 1: Eliminar estados inalcanzables
         const reachableDFA = this.removeUnreachableStates(dfa);
         
-        // Si el AFD esta vacio o tiene un solo estado, ya es minimo
-        if (reachableDFA.states.size <= 1) {
+        // Si el AFD esta vacio o tiene un solo estado (y es completo), ya es minimo
+        if (reachableDFA.states.size <= 1 && reachableDFA.isComplete()) {
             reachableDFA.type = 'MinDFA';
             return reachableDFA;
         }
@@ -36,6 +45,7 @@ class HopcroftMinimization {
 
         // Paso 3: Refinar particiones
         this.refinePartitions(reachableDFA);
+        this.removeSinkPartition(reachableDFA);
 
         // Paso 4: Construir AFD minimo
         const minDFA = this.buildMinimalDFA(reachableDFA);
@@ -63,7 +73,7 @@ class HopcroftMinimization {
                 removedStates: dfa.states.size - reachableDFA.states.size
             });
 
-            if (reachableDFA.states.size <= 1) {
+            if (reachableDFA.states.size <= 1 && reachableDFA.isComplete()) {
                 steps.push({
                     step: 2,
                     action: 'AFD ya es minimo (≤1 estado)',
@@ -93,6 +103,15 @@ class HopcroftMinimization {
             const refinementSteps = this.refinePartitionsWithSteps(reachableDFA);
             steps.push(...refinementSteps);
 
+            this.removeSinkPartition(reachableDFA);
+            if (this.deadStates.length > 0) {
+                steps.push({
+                    step: steps.length + 1,
+                    action: 'Eliminacion de estados equivalentes al sumidero implicito',
+                    deadStates: this.partitionToString(new Set(this.deadStates))
+                });
+            }
+
             // Paso 4: Construir AFD minimo
             const minDFA = this.buildMinimalDFA(reachableDFA);
             
@@ -129,23 +148,7 @@ class HopcroftMinimization {
      * @returns {Automaton} AFD con solo estados alcanzables
      */
     removeUnreachableStates(dfa) {
-        const reachableStates = new Set();
-        const queue = [dfa.startState];
-        reachableStates.add(dfa.startState);
-
-        // BFS para encontrar estados alcanzables
-        while (queue.length > 0) {
-            const currentState = queue.shift();
-            
-            currentState.transitions.forEach(targetStates => {
-                targetStates.forEach(targetState => {
-                    if (!reachableStates.has(targetState)) {
-                        reachableStates.add(targetState);
-                        queue.push(targetState);
-                    }
-                });
-            });
-        }
+        const reachableStates = dfa.getReachableStates(); // BFS desde el inicial
 
         // Si todos los estados son alcanzables, retornar el original
         if (reachableStates.size === dfa.states.size) {
@@ -154,6 +157,7 @@ class HopcroftMinimization {
 
         // Crear nuevo AFD con solo estados alcanzables
         const newDFA = new Automaton('DFA');
+        dfa.alphabet.forEach(symbol => newDFA.alphabet.add(symbol));
         const stateMapping = new Map();
 
         // Copiar estados alcanzables manteniendo IDs originales
@@ -186,15 +190,20 @@ class HopcroftMinimization {
 
     /**
      * Inicializa las particiones: estados de aceptacion vs no aceptacion
+     * (el sumidero implicito, si hace falta, va con los de no aceptacion)
      * @param {Automaton} dfa - AFD a particionar
      */
     initializePartitions(dfa) {
         this.partitions = [];
-        this.workList = [];
         this.stateToPartition.clear();
+        this.deadStates = [];
+        this.emptyLanguage = false;
+        this.sink = dfa.isComplete() ? null : new State(-1, false);
+        this.symbols = dfa.getAlphabet();
 
         const acceptingStates = new Set();
         const nonAcceptingStates = new Set();
+        if (this.sink) nonAcceptingStates.add(this.sink);
 
         // Separar estados de aceptacion y no aceptacion
         dfa.states.forEach(state => {
@@ -206,43 +215,62 @@ class HopcroftMinimization {
         });
 
         // Crear particiones iniciales
-        if (nonAcceptingStates.size > 0) {
-            this.partitions.push(nonAcceptingStates);
-            nonAcceptingStates.forEach(state => {
-                this.stateToPartition.set(state, 0);
-            });
-        }
+        [nonAcceptingStates, acceptingStates].forEach(partition => {
+            if (partition.size === 0) return;
+            const index = this.partitions.length;
+            this.partitions.push(partition);
+            partition.forEach(state => this.stateToPartition.set(state, index));
+        });
+    }
 
-        if (acceptingStates.size > 0) {
-            const acceptingPartitionIndex = this.partitions.length;
-            this.partitions.push(acceptingStates);
-            acceptingStates.forEach(state => {
-                this.stateToPartition.set(state, acceptingPartitionIndex);
+    /**
+     * Prepara el indice de transiciones inversas y la lista de trabajo inicial
+     * @param {Automaton} dfa - AFD a minimizar
+     */
+    initializeWorkList(dfa) {
+        this.workList = [];
+
+        // inverse[simbolo] : estado destino -> estados que llegan a el con ese simbolo
+        const states = this.sink ? [...dfa.states.values(), this.sink] : Array.from(dfa.states.values());
+        this.inverse = this.symbols.map(symbol => {
+            const predecessors = new Map();
+            states.forEach(state => {
+                const target = this.target(state, symbol);
+                if (!predecessors.has(target)) predecessors.set(target, []);
+                predecessors.get(target).push(state);
             });
-        }
+            return predecessors;
+        });
 
-        // Inicializar lista de trabajo
-        for (let i = 0; i < this.partitions.length; i++) {
-            for (const symbol of dfa.getAlphabet()) {
-                this.workList.push({ partition: i, symbol: symbol });
-            }
+        // Lista de trabajo de pares (indice de particion, indice de simbolo); pending evita duplicados.
+        // Basta con la menor de las dos particiones iniciales: dividir por ella divide tambien por la otra
+        this.pending = this.symbols.map(() => new Set());
+        if (this.partitions.length === 2) {
+            const smaller = this.partitions[0].size <= this.partitions[1].size ? 0 : 1;
+            this.symbols.forEach((symbol, symbolIndex) => this.enqueue(smaller, symbolIndex));
         }
     }
 
+    enqueue(partitionIndex, symbolIndex) {
+        this.pending[symbolIndex].add(partitionIndex);
+        this.workList.push({ partition: partitionIndex, symbol: symbolIndex });
+    }
+
+    dequeue() {
+        const entry = this.workList.pop();
+        this.pending[entry.symbol].delete(entry.partition);
+        return entry;
+    }
+
     /**
      * Refina las particiones hasta que no se puedan refinar mas
      * @param {Automaton} dfa - AFD a minimizar
      */
     refinePartitions(dfa) {
+        this.initializeWorkList(dfa);
         while (this.workList.length > 0) {
-            const { partition: splitterIndex, symbol } = this.workList.shift();
-            
-            if (splitterIndex >= this.partitions.length) {
-                continue; // Particion ya no existe
-            }
-            
-            const splitter = this.partitions[splitterIndex];
-            this.split(dfa, splitter, symbol);
+            const { partition, symbol } = this.dequeue();
+            this.split(this.partitions[partition], symbol);
         }
     }
 
@@ -255,27 +283,24 @@ class HopcroftMinimization {
         const steps = [];
         let stepNumber = 3;
 
+        this.initializeWorkList(dfa);
         while (this.workList.length > 0) {
-            const { partition: splitterIndex, symbol } = this.workList.shift();
-            
-            if (splitterIndex >= this.partitions.length) {
-                continue;
-            }
-            
-            const splitter = this.partitions[splitterIndex];
+            const { partition, symbol: symbolIndex } = this.dequeue();
+            const splitter = this.partitionToString(this.partitions[partition]);
+            const symbol = this.symbols[symbolIndex];
             const oldPartitionCount = this.partitions.length;
-            
-            this.split(dfa, splitter, symbol);
-            
-            if (this.partitions.length > oldPartitionCount) {
+
+            const divided = this.split(this.partitions[partition], symbolIndex);
+
+            if (divided.length > 0) {
                 steps.push({
                     step: stepNumber++,
-                    action: `Refinamiento con particion ${splitterIndex} y simbolo '${symbol}'`,
-                    splitter: this.partitionToString(splitter),
+                    action: `Refinamiento con particion ${splitter} y simbolo '${symbol}'`,
+                    splitter: splitter,
                     symbol: symbol,
                     partitionsBefore: oldPartitionCount,
                     partitionsAfter: this.partitions.length,
-                    newPartitions: this.partitions.slice(oldPartitionCount).map(p => this.partitionToString(p))
+                    newPartitions: divided.flat().map(index => this.partitionToString(this.partitions[index]))
                 });
             }
         }
@@ -284,79 +309,94 @@ class HopcroftMinimization {
     }
 
     /**
-     * Divide particiones basandose en un splitter y simbolo
-     * @param {Automaton} dfa - AFD
+     * Divide, en el lugar, las particiones con estados que van y que no van al
+     * splitter con el simbolo. Solo se visitan los predecesores del splitter
+     * (indice inverso). La parte que va al splitter pasa a una particion nueva
+     * al final del arreglo, asi que los indices existentes no cambian. Por cada
+     * division se encola la mitad menor, salvo que la particion ya estuviera
+     * pendiente para ese simbolo (entonces se encolan ambas): O(n log n) en total.
+     * Una transicion ausente va al sumidero implicito (ver initializePartitions)
      * @param {Set<State>} splitter - Particion splitter
-     * @param {string} symbol - Simbolo para dividir
+     * @param {number} symbolIndex - Indice del simbolo en el alfabeto
+     * @returns {Array<Array<number>>} Pares [particion original, particion nueva] divididos
      */
-    split(dfa, splitter, symbol) {
-        const newPartitions = [];
-        const indicesToRemove = [];
-
-        for (let i = 0; i < this.partitions.length; i++) {
-            const partition = this.partitions[i];
-            
-            if (partition === splitter) {
-                newPartitions.push(partition);
-                continue;
-            }
-
-            // Dividir la particion en dos grupos
-            const goesToSplitter = new Set();
-            const doesNotGoToSplitter = new Set();
+    split(splitter, symbolIndex) {
+        const predecessors = this.inverse[symbolIndex];
+
+        // Particion -> estados suyos que van al splitter
+        const touched = new Map();
+        splitter.forEach(target => {
+            const sources = predecessors.get(target);
+            if (!sources) return;
+            sources.forEach(state => {
+                const index = this.stateToPartition.get(state);
+                if (!touched.has(index)) touched.set(index, []);
+                touched.get(index).push(state);
+            });
+        });
 
-            partition.forEach(state => {
-                const targetStates = state.getTransitions(symbol);
-                let goesToSplitterFlag = false;
+        const divided = [];
+        touched.forEach((moving, index) => {
+            const partition = this.partitions[index];
+            if (moving.length === partition.size) return;
 
-                targetStates.forEach(targetState => {
-                    if (splitter.has(targetState)) {
-                        goesToSplitterFlag = true;
-                    }
-                });
+            const newIndex = this.partitions.length;
+            const newPartition = new Set(moving);
+            moving.forEach(state => {
+                partition.delete(state);
+                this.stateToPartition.set(state, newIndex);
+            });
+            this.partitions.push(newPartition);
+            divided.push([index, newIndex]);
 
-                if (goesToSplitterFlag) {
-                    goesToSplitter.add(state);
+            this.symbols.forEach((symbol, s) => {
+                if (this.pending[s].has(index)) {
+                    this.enqueue(newIndex, s);
                 } else {
-                    doesNotGoToSplitter.add(state);
+                    this.enqueue(partition.size <= newPartition.size ? index : newIndex, s);
                 }
             });
+        });
 
-            // Si la particion se divide
-            if (goesToSplitter.size > 0 && doesNotGoToSplitter.size > 0) {
-                indicesToRemove.push(i);
-                
-                // Añadir nuevas particiones
-                newPartitions.push(goesToSplitter);
-                newPartitions.push(doesNotGoToSplitter);
-                
-                // Actualizar lista de trabajo
-                for (const sym of dfa.getAlphabet()) {
-                    this.workList.push({ 
-                        partition: this.partitions.length + newPartitions.length - 2, 
-                        symbol: sym 
-                    });
-                    this.workList.push({ 
-                        partition: this.partitions.length + newPartitions.length - 1, 
-                        symbol: sym 
-                    });
-                }
-            } else {
-                newPartitions.push(partition);
-            }
-        }
+        return divided;
+    }
 
-        // Actualizar particiones
-        const oldPartitions = [...this.partitions];
-        this.partitions = newPartitions;
+    /**
+     * Destino de una transicion; las ausentes (y las del propio sumidero) van al sumidero implicito
+     * @param {State} state - Estado origen
+     * @param {string} symbol - Simbolo
+     * @returns {State} Estado destino
+     */
+    target(state, symbol) {
+        if (state === this.sink) return this.sink;
+        const targets = state.getTransitions(symbol);
+        return targets.size > 0 ? targets.values().next().value : this.sink;
+    }
+
+    /**
+     * Quita el sumidero implicito de las particiones. Su particion son los
+     * estados muertos, que se descartan salvo que incluya al estado inicial
+     * (lenguaje vacio): entonces es la unica particion y queda como un estado
+     * sin transiciones
+     * @param {Automaton} dfa - AFD minimizado
+     */
+    removeSinkPartition(dfa) {
+        if (!this.sink) return;
+        const sinkPartition = this.partitions.find(partition => partition.has(this.sink));
+        sinkPartition.delete(this.sink);
+
+        if (sinkPartition.size === 0 || !sinkPartition.has(dfa.startState)) {
+            this.deadStates = Array.from(sinkPartition);
+            this.partitions = this.partitions.filter(partition => partition !== sinkPartition);
+        } else {
+            this.emptyLanguage = true;
+        }
 
-        // Actualizar mapeo estado -> particion
         this.stateToPartition.clear();
         this.partitions.forEach((partition, index) => {
-            partition.forEach(state => {
-                this.stateToPartition.set(state, index);
-            });
+            partition.forEach(state => this.stateToPartition.set(state, index));
         });
+        this.sink = null;
     }
 
     /**
@@ -366,6 +406,7 @@ class HopcroftMinimization {
      */
     buildMinimalDFA(dfa) {
         const minDFA = new Automaton('MinDFA');
+        dfa.alphabet.forEach(symbol => minDFA.alphabet.add(symbol));
         const partitionToState = new Map();
 
         // Crear estados del AFD minimo (uno por particion)
@@ -382,7 +423,8 @@ class HopcroftMinimization {
             }
         });
 
-        // Crear transiciones del AFD minimo
+        // Crear transiciones del AFD minimo (ninguna si todos los estados son muertos)
+        if (this.emptyLanguage) return minDFA;
         this.partitions.forEach((partition, fromIndex) => {
             const fromState = partitionToState.get(fromIndex);
             const representative = Array.from(partition)[0]; // Representante de la particion
@@ -392,6 +434,8 @@ class HopcroftMinimization {
                 if (targetStates.size > 0) {
                     const targetState = targetStates.values().next().value;
                     const toIndex = this.stateToPartition.get(targetState);
+                    // Sin particion: el destino es un estado muerto descartado
+                    if (toIndex === undefined) return;
                     const toState = partitionToState.get(toIndex);
                     
                     minDFA.addTransition(fromState, symbol, toState);
@@ -408,7 +452,8 @@ class HopcroftMinimization {
      * @returns {string} Representacion en string
      */
     partitionToString(partition) {
-        const stateIds = Array.from(partition).map(state => state.id).sort((a, b) => a - b);
+        const stateIds = Array.from(partition).filter(state => state !== this.sink).map(state => state.id).sort((a, b) => a - b);
+        if (this.sink && partition.has(this.sink)) stateIds.push('∅');
         return `{${stateIds.join(',')}}`;
     }
 
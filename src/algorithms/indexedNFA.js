@@ -0,0 +1,161 @@
+/**
+ * Representacion densa de un AFN para la construccion de subconjuntos.
+ * Los estados se numeran 0..n-1 y un subconjunto es un bitset (Uint32Array
+ * de ceil(n/32) palabras). La clausura epsilon de cada estado se calcula una
+ * sola vez, asi que clausura(mover(S, a)) es un OR de bitsets precalculados.
+ */
+class IndexedNFA {
+    /**
+     * @param {Automaton} nfa - AFN de entrada (no se modifica)
+     */
+    constructor(nfa) {
+        this.states = Array.from(nfa.states.values()); // indice -> State
+        this.indexOf = new Map(this.states.map((state, index) => [state, index]));
+        this.size = this.states.length;
+        this.words = Math.max(1, Math.ceil(this.size / 32));
+        this.alphabet = nfa.getAlphabet();
+
+        this.accepting = this.emptySet();
+        this.states.forEach((state, index) => {
+            if (nfa.acceptStates.has(state)) this.add(this.accepting, index);
+        });
+
+        // symbolIndex -> indice de estado -> indices destino
+        this.transitions = this.alphabet.map(symbol => this.states.map(state =>
+            Array.from(state.getTransitions(symbol)).map(target => this.indexOf.get(target))));
+
+        this.closures = this.states.map((state, index) => this.computeClosure(index));
+    }
+
+    emptySet() {
+        return new Uint32Array(this.words);
+    }
+
+    add(bits, index) {
+        bits[index >>> 5] |= 1 << (index & 31);
+    }
+
+    has(bits, index) {
+        return (bits[index >>> 5] & (1 << (index & 31))) !== 0;
+    }
+
+    /**
+     * Clausura epsilon de un estado (DFS sobre las transiciones epsilon)
+     * @param {number} index - Indice del estado
+     * @returns {Uint32Array} Bitset de la clausura
+     */
+    computeClosure(index) {
+        const closure = this.emptySet();
+        const stack = [index];
+        this.add(closure, index);
+        while (stack.length > 0) {
+            this.states[stack.pop()].getEpsilonTransitions().forEach(target => {
+                const targetIndex = this.indexOf.get(target);
+                if (!this.has(closure, targetIndex)) {
+                    this.add(closure, targetIndex);
+                    stack.push(targetIndex);
+                }
+            });
+        }
+        return closure;
+    }
+
+    /**
+     * Copia de la clausura epsilon precalculada de un estado
+     * @param {State} state - Estado del AFN
+     * @returns {Uint32Array} Bitset
+     */
+    closureOf(state) {
+        return this.closures[this.indexOf.get(state)].slice();
+    }
+
+    /**
+     * clausura(mover(S, a)) en una sola pasada
+     * @param {Uint32Array} bits - Subconjunto S
+     * @param {number} symbolIndex - Indice del simbolo en this.alphabet
+     * @returns {Uint32Array|null} Subconjunto destino, o null si mover(S, a) es vacio
+     */
+    step(bits, symbolIndex) {
+        const table = this.transitions[symbolIndex];
+        let result = null;
+        for (let word = 0; word < this.words; word++) {
+            let chunk = bits[word];
+            while (chunk !== 0) {
+                const bit = 31 - Math.clz32(chunk);
+                chunk &= ~(1 << bit);
+                const targets = table[(word << 5) + bit];
+                for (let t = 0; t < targets.length; t++) {
+                    if (!result) result = this.emptySet();
+                    const closure = this.closures[targets[t]];
+                    for (let w = 0; w < this.words; w++) result[w] |= closure[w];
+                }
+            }
+        }
+        return result;
+    }
+
+    isAccepting(bits) {
+        for (let word = 0; word < this.words; word++) {
+            if ((bits[word] & this.accepting[word]) !== 0) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Hash FNV-1a de las palabras del bitset
+     * @param {Uint32Array} bits - Subconjunto
+     * @returns {number} Hash de 32 bits
+     */
+    hash(bits) {
+        let hash = 0x811c9dc5;
+        for (let word = 0; word < this.words; word++) {
+            hash = Math.imul(hash ^ bits[word], 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    equals(a, b) {
+        for (let word = 0; word < this.words; word++) {
+            if (a[word] !== b[word]) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Estados del AFN que forman el subconjunto
+     * @param {Uint32Array} bits - Subconjunto
+     * @returns {Set<State>} Estados
+     */
+    toStateSet(bits) {
+        const result = new Set();
+        for (let index = 0; index < this.size; index++) {
+            if (this.has(bits, index)) result.add(this.states[index]);
+        }
+        return result;
+    }
+}
+
+/**
+ * Tabla hash de subconjuntos: hash -> lista de { bits, value } (las colisiones se comparan palabra a palabra)
+ */
+export class SubsetTable {
+    constructor(indexedNFA) {
+        this.nfa = indexedNFA;
+        this.buckets = new Map();
+    }
+
+    get(bits) {
+        const bucket = this.buckets.get(this.nfa.hash(bits));
+        if (!bucket) return undefined;
+        const entry = bucket.find(candidate => this.nfa.equals(candidate.bits, bits));
+        return entry ? entry.value : undefined;
+    }
+
+    set(bits, value) {
+        const hash = this.nfa.hash(bits);
+        if (!this.buckets.has(hash)) this.buckets.set(hash, []);
+        this.buckets.get(hash).push({ bits, value });
+    }
+}
+
+export default IndexedNFA;
@@ -0,0 +1,166 @@
+/**
+ * AFD perezoso: simula un AFN construyendo solo los estados del AFD
+ * (subconjuntos) que la entrada realmente visita. Cada subconjunto y sus
+ * transiciones ya calculadas se guardan en una cache LRU de tamaño acotado,
+ * asi que patrones como (a|b)*a(a|b){15} no materializan los 2^16 subconjuntos.
+ *
+ * Si la cache se satura (mas desalojos que thrashThreshold en una misma
+ * cadena), el resto de la cadena se simula como AFN por conjuntos, sin cache.
+ */
+class LazyDFA {
+    /**
+     * @param {Automaton} nfa - AFN a simular (puede tener transiciones epsilon)
+     * @param {Object} options - { cacheSize, thrashThreshold }
+     */
+    constructor(nfa, options = {}) {
+        if (nfa.type !== 'NFA') throw new Error('El automata de entrada debe ser un AFN');
+        this.nfa = nfa;
+        this.cacheSize = options.cacheSize ?? 1000;
+        this.thrashThreshold = options.thrashThreshold ?? this.cacheSize;
+        if (!(this.cacheSize >= 1)) throw new Error('El tamaño de la cache debe ser al menos 1');
+
+        this.cache = new Map(); // clave del subconjunto -> { key, states, isAccepting, next: Map simbolo -> clave }; orden = uso
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
+        this.fallbacks = 0;
+    }
+
+    /**
+     * Verifica si una cadena es aceptada
+     * @param {string|Array<string>} input - Cadena (o lista de simbolos)
+     * @returns {Object} { accepted, steps, fallback }
+     */
+    accepts(input) {
+        const symbols = this.nfa.splitInput(input);
+        const evictionsAtStart = this.evictions;
+        let current = this.lookup(this.nfa.epsilonClosure(new Set([this.nfa.startState])));
+        let states = current.states;
+        let key = current.key; // Clave de states; fuera del modo AFN sale de la cache, sin reordenar el conjunto
+        let fallback = false;
+        const steps = [{ step: 0, currentStates: key, action: 'Inicio (clausura epsilon)' }];
+
+        for (let i = 0; i < symbols.length; i++) {
+            const symbol = symbols[i];
+
+            let action;
+            if (!fallback && this.evictions - evictionsAtStart > this.thrashThreshold) {
+                fallback = true;
+                this.fallbacks++;
+                states = this.nfa.epsilonClosure(this.move(states, symbol));
+                key = this.keyOf(states);
+                action = 'Cache saturada: se continua como AFN por conjuntos';
+            } else if (fallback) {
+                states = this.nfa.epsilonClosure(this.move(states, symbol));
+                key = this.keyOf(states);
+                action = 'Transicion AFN + clausura epsilon';
+            } else {
+                const cachedKey = current.next.get(symbol);
+                if (cachedKey !== undefined && this.cache.has(cachedKey)) {
+                    this.hits++;
+                    current = this.touch(cachedKey);
+                    action = 'Transicion en cache';
+                } else {
+                    const target = this.nfa.epsilonClosure(this.move(current.states, symbol));
+                    const targetKey = this.keyOf(target);
+                    current.next.set(symbol, targetKey);
+                    // Solo es fallo si el subconjunto destino tampoco estaba en cache
+                    if (this.cache.has(targetKey)) {
+                        this.hits++;
+                        current = this.touch(targetKey);
+                    } else {
+                        this.misses++;
+                        current = this.insert(targetKey, target);
+                    }
+                    action = `Transicion calculada: clausura(mover(S, '${symbol}'))`;
+                }
+                states = current.states;
+                key = current.key;
+            }
+
+            steps.push({ step: i + 1, symbol, currentStates: key, action });
+            if (states.size === 0) {
+                steps.push({ step: i + 2, currentStates: '{}', action: 'Rechazada - No hay transiciones' });
+                return { accepted: false, steps, fallback };
+            }
+        }
+
+        const accepted = Array.from(states).some(state => state.isAccepting);
+        steps.push({ step: symbols.length + 1, currentStates: key, action: accepted ? 'Aceptada' : 'Rechazada - Ningun estado final' });
+        return { accepted, steps, fallback };
+    }
+
+    /**
+     * Obtiene el estado del AFD de un subconjunto, calculandolo si no esta en cache
+     * @param {Set<State>} states - Subconjunto de estados del AFN
+     * @returns {Object} Entrada de la cache
+     */
+    lookup(states) {
+        const key = this.keyOf(states);
+        if (this.cache.has(key)) {
+            this.hits++;
+            return this.touch(key);
+        }
+        this.misses++;
+        return this.insert(key, states);
+    }
+
+    insert(key, states) {
+        if (this.cache.size >= this.cacheSize) {
+            // El primer elemento del Map es el usado hace mas tiempo
+            this.cache.delete(this.cache.keys().next().value);
+            this.evictions++;
+        }
+        const entry = { key, states, isAccepting: Array.from(states).some(state => state.isAccepting), next: new Map() };
+        this.cache.set(key, entry);
+        return entry;
+    }
+
+    touch(key) {
+        const entry = this.cache.get(key);
+        this.cache.delete(key);
+        this.cache.set(key, entry);
+        return entry;
+    }
+
+    move(states, symbol) {
+        const result = new Set();
+        states.forEach(state => state.getTransitions(symbol).forEach(target => result.add(target)));
+        return result;
+    }
+
+    keyOf(states) {
+        return `{${Array.from(states).map(state => state.id).sort((a, b) => a - b).join(',')}}`;
+    }
+
+    /**
+     * Vacia la cache y reinicia los contadores
+     */
+    reset() {
+        this.cache.clear();
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
+        this.fallbacks = 0;
+    }
+
+    /**
+     * Estadisticas de la cache, en el estilo de SubsetConstruction.getStatistics
+     * @returns {Object} Estadisticas
+     */
+    getStatistics() {
+        const lookups = this.hits + this.misses;
+        return {
+            nfaStates: this.nfa.states.size,
+            cachedStates: this.cache.size,
+            cacheSize: this.cacheSize,
+            hits: this.hits,
+            misses: this.misses,
+            hitRate: (lookups === 0 ? 0 : this.hits / lookups * 100).toFixed(2) + '%',
+            evictions: this.evictions,
+            fallbacks: this.fallbacks
+        };
+    }
+}
+
+export default LazyDFA;
@@ -0,0 +1,114 @@
+import HopcroftMinimization from './hopcroft.js';
+
+/**
+ * Minimizacion de Moore: refina por rondas las clases de k-equivalencia.
+ * En la ronda k dos estados siguen juntos si estaban en la misma clase y, con
+ * cada simbolo, van a estados de la misma clase de la ronda k-1. Termina cuando
+ * una ronda no cambia el numero de clases (O(n^2) en el peor caso).
+ *
+ * Reutiliza de HopcroftMinimization la eliminacion de inalcanzables, el
+ * sumidero implicito de los AFD parciales, la construccion del AFD minimo y
+ * el formato de minimizeWithSteps; solo cambia el refinamiento.
+ */
+class MooreMinimization extends HopcroftMinimization {
+    constructor() {
+        super();
+        this.rounds = []; // Tabla de cada ronda: clases y transiciones por clase
+    }
+
+    /**
+     * Refina particiones por rondas hasta que se estabilizan
+     * @param {Automaton} dfa - AFD a minimizar
+     */
+    refinePartitions(dfa) {
+        this.refinePartitionsWithSteps(dfa);
+    }
+
+    /**
+     * Refina particiones por rondas; cada ronda es un paso con su tabla
+     * @param {Automaton} dfa - AFD a minimizar
+     * @returns {Array} Pasos del refinamiento
+     */
+    refinePartitionsWithSteps(dfa) {
+        const steps = [];
+        const states = this.sink ? [...dfa.states.values(), this.sink] : Array.from(dfa.states.values());
+        this.rounds = [];
+
+        for (let round = 1; ; round++) {
+            const table = this.buildRoundTable(states);
+            const partitionsBefore = this.partitions.length;
+            this.refineRound(table);
+            this.rounds.push({ round, table, classes: this.partitions.map(p => this.partitionToString(p)) });
+
+            steps.push({
+                step: steps.length + 3,
+                action: `Ronda ${round}: clases de ${round}-equivalencia`,
+                round: round,
+                table: table.map(row => ({ state: row.label, class: row.class, transitions: row.transitions })),
+                partitionsBefore: partitionsBefore,
+                partitionsAfter: this.partitions.length,
+                classes: this.rounds[round - 1].classes
+            });
+
+            if (this.partitions.length === partitionsBefore) break;
+        }
+
+        return steps;
+    }
+
+    /**
+     * Fila por estado: su clase actual y la clase del destino con cada simbolo
+     * @param {Array<State>} states - Estados (incluido el sumidero implicito)
+     * @returns {Array<Object>} Filas { state, label, class, transitions, signature }
+     */
+    buildRoundTable(states) {
+        return states.map(state => {
+            const transitions = {};
+            this.symbols.forEach(symbol => {
+                transitions[symbol] = this.stateToPartition.get(this.target(state, symbol));
+            });
+            const currentClass = this.stateToPartition.get(state);
+            return {
+                state,
+                label: state === this.sink ? '∅' : state.id,
+                class: currentClass,
+                transitions,
+                signature: [currentClass, ...this.symbols.map(symbol => transitions[symbol])].join(',')
+            };
+        });
+    }
+
+    /**
+     * Divide cada clase segun la firma de sus estados. Las clases nuevas se
+     * numeran en el orden de las anteriores, asi la tabla se lee de arriba abajo
+     * @param {Array<Object>} table - Tabla de la ronda
+     */
+    refineRound(table) {
+        const bySignature = new Map();
+        table.forEach(row => {
+            if (!bySignature.has(row.signature)) bySignature.set(row.signature, { class: row.class, states: new Set() });
+            bySignature.get(row.signature).states.add(row.state);
+        });
+
+        const groups = Array.from(bySignature.values()).sort((a, b) => a.class - b.class);
+        this.partitions = groups.map(group => group.states);
+        this.stateToPartition.clear();
+        this.partitions.forEach((partition, index) => {
+            partition.forEach(state => this.stateToPartition.set(state, index));
+        });
+    }
+
+    /**
+     * Tabla de una ronda como lineas de texto (estado, clase y clase destino por simbolo)
+     * @param {number} round - Ronda (1..n)
+     * @returns {Array<string>} Lineas de la tabla
+     */
+    roundTableToLines(round) {
+        const { table } = this.rounds[round - 1];
+        const header = ['Estado', 'Clase', ...this.symbols].join('\t');
+        return [header, ...table.map(row =>
+            [row.label, row.class, ...this.symbols.map(symbol => row.transitions[symbol])].join('\t'))];
+    }
+}
+
+export default MooreMinimization;
@@ -0,0 +1,243 @@
+/**
+ * Definiciones con nombre (macros) para especificaciones estilo lexer:
+ *
+ *   digit = [0-9]; int = digit+; float = int\.int
+ *
+ * Las sentencias se separan con ';' o salto de linea. Una definicion se usa
+ * por su nombre, escrito solo (digit+) o entre llaves ({digit}+). Un nombre
+ * suelto solo se sustituye si coincide con una secuencia completa de letras,
+ * digitos y '_': en "digits" no se reconoce "digit". Cada uso se sustituye
+ * por el cuerpo expandido entre parentesis.
+ *
+ * Los errores llevan code, span (posiciones dentro del bloque de definiciones)
+ * y definition (nombre de la definicion culpable).
+ */
+class RegexDefinitions {
+    constructor(shuntingYard) {
+        this.shuntingYard = shuntingYard;
+        this.namePattern = /^[A-Za-z_][A-Za-z0-9_]*$/;
+    }
+
+    /**
+     * Normaliza las definiciones a texto: acepta el bloque tal cual
+     * o un objeto { nombre: cuerpo }
+     * @param {string|Object} definitions - Bloque de definiciones
+     * @returns {string} Bloque en texto
+     */
+    toSource(definitions) {
+        if (typeof definitions === 'string') return definitions;
+        return Object.entries(definitions).map(([name, body]) => `${name} = ${body}`).join('\n');
+    }
+
+    /**
+     * Separa el bloque en definiciones. Un salto de linea siempre termina la
+     * sentencia; un ';' escapado, dentro de una clase [...] o entre comillas no
+     * @param {string} source - Bloque de definiciones
+     * @returns {Map<string, Object>} nombre -> { name, body, start, end, bodyStart, references }
+     */
+    parse(source) {
+        const definitions = new Map();
+
+        this.splitStatements(source).forEach(({ text, start }) => {
+            const trimmedStart = start + (text.length - text.trimStart().length);
+            const statement = text.trim();
+            if (statement.length === 0) return;
+
+            const end = trimmedStart + statement.length;
+            const equals = statement.indexOf('=');
+            if (equals === -1) {
+                throw this.definitionError('MALFORMED_DEFINITION', `Se esperaba 'nombre = expresion' en '${statement}'`, trimmedStart, end);
+            }
+
+            const name = statement.slice(0, equals).trim();
+            if (!this.namePattern.test(name)) {
+                throw this.definitionError('MALFORMED_DEFINITION', `Nombre de definicion invalido: '${name}'`, trimmedStart, trimmedStart + equals, name);
+            }
+            if (definitions.has(name)) {
+                throw this.definitionError('DUPLICATE_DEFINITION', `La definicion '${name}' esta repetida`, trimmedStart, end, name);
+            }
+
+            const rawBody = statement.slice(equals + 1);
+            const body = rawBody.trim();
+            const bodyStart = trimmedStart + equals + 1 + (rawBody.length - rawBody.trimStart().length);
+            if (body.length === 0) {
+                throw this.definitionError('EMPTY_DEFINITION', `La definicion '${name}' no tiene expresion`, trimmedStart, end, name);
+            }
+
+            definitions.set(name, { name, body, start: trimmedStart, end, bodyStart, references: new Set() });
+        });
+
+        return definitions;
+    }
+
+    /**
+     * Divide el texto en sentencias conservando la posicion de cada una
+     * @param {string} source - Bloque de definiciones
+     * @returns {Array<Object>} { text, start }
+     */
+    splitStatements(source) {
+        const statements = [];
+        let start = 0;
+        let inClass = false;
+        let inQuote = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (char === this.shuntingYard.escapeChar) {
+                i++;
+            } else if (char === this.shuntingYard.quoteChar && !inClass) {
+                inQuote = !inQuote;
+            } else if (char === '[' && !inQuote) {
+                inClass = true;
+            } else if (char === ']' && !inQuote) {
+                inClass = false;
+            } else if (char === '\n' || (char === ';' && !inClass && !inQuote)) {
+                statements.push({ text: source.slice(start, i), start });
+                start = i + 1;
+                inClass = inQuote = false;
+            }
+        }
+        statements.push({ text: source.slice(start), start });
+        return statements;
+    }
+
+    /**
+     * Expande todas las definiciones (detectando ciclos) y luego la expresion
+     * @param {string} regex - Expresion que usa las definiciones
+     * @param {string|Object} definitions - Bloque de definiciones
+     * @returns {Object} { expression, source, definitions: Map nombre -> { ...definicion, expanded } }
+     */
+    expand(regex, definitions) {
+        const source = this.toSource(definitions);
+        const parsed = this.parse(source);
+        const expanded = new Map();
+        const visiting = [];
+
+        const resolve = name => {
+            if (expanded.has(name)) return expanded.get(name);
+
+            const definition = parsed.get(name);
+            if (visiting.includes(name)) {
+                const cycle = [...visiting.slice(visiting.indexOf(name)), name].join(' -> ');
+                throw this.definitionError('DEFINITION_CYCLE', `Definicion ciclica: ${cycle}`, definition.start, definition.end, name);
+            }
+
+            visiting.push(name);
+            const body = this.substitute(definition.body, parsed, resolve, definition);
+            visiting.pop();
+            expanded.set(name, body);
+            return body;
+        };
+
+        parsed.forEach((definition, name) => resolve(name));
+
+        parsed.forEach((definition, name) => {
+            definition.expanded = expanded.get(name);
+        });
+
+        return {
+            expression: this.substitute(regex, parsed, resolve, null),
+            source,
+            definitions: parsed
+        };
+    }
+
+    /**
+     * Reemplaza los usos de definiciones en un texto. Los escapes, el
+     * contenido de las clases [...] y los simbolos entre comillas se copian sin cambios
+     * @param {string} text - Texto a expandir
+     * @param {Map<string, Object>} definitions - Definiciones conocidas
+     * @param {Function} resolve - nombre -> cuerpo expandido
+     * @param {Object|null} owner - Definicion que contiene el texto (para ubicar errores)
+     * @returns {string} Texto expandido
+     */
+    substitute(text, definitions, resolve, owner) {
+        let result = '';
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (char === this.shuntingYard.escapeChar) {
+                result += text.slice(i, i + 2);
+                i += 2;
+            } else if (char === '[' || char === this.shuntingYard.quoteChar) {
+                const close = char === '[' ? ']' : char;
+                let j = i + 1;
+                while (j < text.length && text[j] !== close) {
+                    j += text[j] === this.shuntingYard.escapeChar ? 2 : 1;
+                }
+                result += text.slice(i, j + 1);
+                i = j + 1;
+            } else if (char === '{' && /^\{[A-Za-z_]/.test(text.slice(i))) {
+                const close = text.indexOf('}', i);
+                const name = close === -1 ? null : text.slice(i + 1, close);
+                if (name === null || !this.namePattern.test(name)) {
+                    result += char;
+                    i++;
+                } else if (!definitions.has(name)) {
+                    const start = owner ? owner.bodyStart + i : i;
+                    const error = this.definitionError('UNDEFINED_DEFINITION', `La definicion '${name}' no existe`,
+                        start, start + name.length + 2, owner ? owner.name : null);
+                    // Sin definicion duena, el rango es de la expresion principal y no del bloque
+                    error.inExpression = !owner;
+                    throw error;
+                } else {
+                    if (owner) owner.references.add(name);
+                    result += this.wrap(resolve(name));
+                    i = close + 1;
+                }
+            } else if (/[A-Za-z_]/.test(char)) {
+                let j = i;
+                while (j < text.length && /[A-Za-z0-9_]/.test(text[j])) j++;
+                const word = text.slice(i, j);
+                if (definitions.has(word)) {
+                    if (owner) owner.references.add(word);
+                    result += this.wrap(resolve(word));
+                } else {
+                    result += word;
+                }
+                i = j;
+            } else {
+                result += char;
+                i++;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Agrupa un cuerpo expandido entre parentesis salvo que sea un unico operando
+     * @param {string} body - Cuerpo expandido
+     * @returns {string} Cuerpo listo para insertarse
+     */
+    wrap(body) {
+        try {
+            const tokens = this.shuntingYard.tokenize(body);
+            if (tokens.length === 1 && tokens[0].type !== 'operator') return body;
+        } catch (error) {
+            // El cuerpo se valida por separado; aqui solo se decide la agrupacion
+        }
+        return `(${body})`;
+    }
+
+    /**
+     * Crea un error de definicion con su rango dentro del bloque
+     * @param {string} code - Codigo del error
+     * @param {string} message - Descripcion del error
+     * @param {number} start - Posicion inicial en el bloque
+     * @param {number} end - Posicion final (exclusiva)
+     * @param {string} definition - Nombre de la definicion culpable
+     * @returns {Error} Error con propiedades code, span y definition
+     */
+    definitionError(code, message, start, end, definition = null) {
+        const error = new Error(message);
+        error.code = code;
+        error.span = { start, end };
+        error.definition = definition;
+        return error;
+    }
+}
+
+export default RegexDefinitions;
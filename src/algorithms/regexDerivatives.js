@@ -0,0 +1,315 @@
+import Automaton from '../models/Automaton.js';
+import ShuntingYard from './shuntingYard.js';
+import RegexParser, { RegexNode } from './regexParser.js';
+import SymbolTokenizer from '../utils/symbolTokenizer.js';
+
+/**
+ * Derivadas de Brzozowski sobre el AST de RegexParser.
+ * La derivada D_a(r) describe las cadenas w tales que aw esta en L(r), asi que
+ * una cadena se acepta si la derivada sucesiva por cada simbolo acepta ε, sin
+ * construir ningun automata. La interseccion y el complemento se derivan
+ * directamente: D_a(r&s) = D_a(r)&D_a(s) y D_a(~r) = ~D_a(r).
+ *
+ * Las derivadas se normalizan por similaridad (uniones e intersecciones sin
+ * repetidos y ordenadas, ε y ∅ como neutros y absorbentes, ~~r = r, (r*)* = r*),
+ * lo que garantiza un numero finito de derivadas distintas: cada una es un estado del AFD.
+ */
+class RegexDerivatives {
+    constructor() {
+        this.shuntingYard = new ShuntingYard();
+        this.parser = new RegexParser();
+        this.maxStates = 10000; // Tope de estados al construir el AFD
+        this.keys = new WeakMap(); // nodo -> clave estructural
+        this.universal = RegexNode.complement(RegexNode.empty(), null); // ~∅ = Σ*
+    }
+
+    /**
+     * Verifica si la expresion acepta la cadena derivando simbolo a simbolo
+     * @param {string|Object} regex - Expresion regular o AST de RegexParser
+     * @param {string|Array<string>} input - Cadena (o lista de simbolos)
+     * @param {Object} options - { alphabet, definitions } como en ThompsonNFA.fromRegex
+     * @returns {boolean} Si la cadena pertenece al lenguaje
+     */
+    matches(regex, input, options = {}) {
+        const { ast, alphabet } = this.prepare(regex, options);
+        let current = this.normalize(ast);
+
+        for (const symbol of new SymbolTokenizer(alphabet).split(input)) {
+            // Fuera del alfabeto se rechaza, igual que al simular el automata
+            if (!alphabet.includes(symbol)) return false;
+            current = this.derivative(current, symbol);
+            if (current.type === 'Empty') return false;
+        }
+        return this.nullable(current);
+    }
+
+    /**
+     * Construye el AFD cuyos estados son las derivadas distintas de la expresion
+     * @param {string|Object} regex - Expresion regular o AST de RegexParser
+     * @param {Object} options - { alphabet, definitions }
+     * @returns {Object} { success, ast, dfa, steps } (dfa parcial: la derivada ∅ no es estado)
+     */
+    toDFA(regex, options = {}) {
+        try {
+            if (typeof regex === 'string') {
+                const validation = this.shuntingYard.validate(regex, options);
+                if (!validation.isValid) {
+                    return { success: false, errors: validation.errors, diagnostics: validation.diagnostics, dfa: null };
+                }
+            }
+            const { ast, alphabet } = this.prepare(regex, options);
+
+            const dfa = new Automaton('DFA');
+            alphabet.forEach(symbol => dfa.alphabet.add(symbol));
+            const keyToState = new Map();
+            const pending = [];
+            const steps = [];
+
+            const getOrCreate = node => {
+                const key = this.key(node);
+                if (!keyToState.has(key)) {
+                    if (keyToState.size >= this.maxStates) {
+                        throw new Error(`El AFD por derivadas supera ${this.maxStates} estados`);
+                    }
+                    const state = dfa.createState(this.nullable(node));
+                    state.expression = this.parser.toInfix(node);
+                    keyToState.set(key, state);
+                    pending.push(node);
+                }
+                return keyToState.get(key);
+            };
+
+            const start = getOrCreate(this.normalize(ast));
+            dfa.setStartState(start);
+            steps.push({ step: 1, action: `Estado inicial: ${start.expression}`, dfaStateId: start.id, isAccepting: start.isAccepting });
+
+            while (pending.length) {
+                const node = pending.shift();
+                const from = keyToState.get(this.key(node));
+                alphabet.forEach(symbol => {
+                    const derivative = this.derivative(node, symbol);
+                    if (derivative.type === 'Empty') return;
+                    const isNew = !keyToState.has(this.key(derivative));
+                    const to = getOrCreate(derivative);
+                    dfa.addTransition(from, symbol, to);
+                    steps.push({
+                        step: steps.length + 1,
+                        action: `D_${symbol}(${from.expression}) = ${to.expression}${isNew ? ' (nuevo estado)' : ''}`,
+                        from: from.id,
+                        symbol,
+                        to: to.id,
+                        isAccepting: to.isAccepting
+                    });
+                });
+            }
+
+            return { success: true, original: typeof regex === 'string' ? regex : null, ast, dfa, steps };
+        } catch (error) {
+            return { success: false, errors: [error.message], dfa: null };
+        }
+    }
+
+    /**
+     * Obtiene el AST y el alfabeto (declarado o inferido) de la entrada
+     * @param {string|Object} regex - Expresion regular o AST
+     * @param {Object} options - { alphabet, definitions }
+     * @returns {Object} { ast, alphabet }
+     */
+    prepare(regex, options) {
+        if (typeof regex !== 'string') {
+            const alphabet = options.alphabet ? this.shuntingYard.resolveAlphabet([], options.alphabet) : this.parser.collectSymbols(regex);
+            return { ast: regex, alphabet };
+        }
+        const expression = this.shuntingYard.expandDefinitions(regex, options);
+        const ast = this.parser.parse(expression, { alphabet: options.alphabet });
+        const alphabet = expression ? this.shuntingYard.resolveAlphabet(this.shuntingYard.tokenize(expression), options.alphabet) : [];
+        return { ast, alphabet };
+    }
+
+    /**
+     * Derivada de una expresion normalizada respecto a un simbolo
+     * @param {Object} node - Nodo normalizado (ver normalize)
+     * @param {string} symbol - Simbolo
+     * @returns {Object} Derivada normalizada
+     */
+    derivative(node, symbol) {
+        switch (node.type) {
+            case 'Symbol':
+                return node.value === symbol ? RegexNode.epsilon() : RegexNode.empty();
+            case 'Epsilon':
+            case 'Empty':
+                return RegexNode.empty();
+            case 'Union':
+                return this.makeUnion(this.flatten(node, 'Union').map(child => this.derivative(child, symbol)));
+            case 'Intersection':
+                return this.makeIntersection(this.flatten(node, 'Intersection').map(child => this.derivative(child, symbol)));
+            case 'Concat': {
+                const head = this.makeConcat(this.derivative(node.left, symbol), node.right);
+                return this.nullable(node.left) ? this.makeUnion([head, this.derivative(node.right, symbol)]) : head;
+            }
+            case 'Star':
+                return this.makeConcat(this.derivative(node.expr, symbol), node);
+            case 'Complement':
+                return this.makeComplement(this.derivative(node.expr, symbol));
+            case 'Repeat': {
+                const rest = this.makeRepeat(node.expr, Math.max(node.min - 1, 0), node.max - 1);
+                return this.makeConcat(this.derivative(node.expr, symbol), rest);
+            }
+            default:
+                throw new Error(`Tipo de nodo desconocido: ${node.type}`);
+        }
+    }
+
+    /**
+     * Reescribe el AST con los constructores normalizados; r+ pasa a rr* y r? a ε|r
+     * @param {Object} node - Nodo del AST de RegexParser
+     * @returns {Object} Nodo normalizado
+     */
+    normalize(node) {
+        switch (node.type) {
+            case 'Symbol':
+                return RegexNode.symbol(node.value);
+            case 'Epsilon':
+                return RegexNode.epsilon();
+            case 'Empty':
+                return RegexNode.empty();
+            case 'Union':
+                return this.makeUnion([this.normalize(node.left), this.normalize(node.right)]);
+            case 'Intersection':
+                return this.makeIntersection([this.normalize(node.left), this.normalize(node.right)]);
+            case 'Concat':
+                return this.makeConcat(this.normalize(node.left), this.normalize(node.right));
+            case 'Star':
+                return this.makeStar(this.normalize(node.expr));
+            case 'Plus': {
+                const expr = this.normalize(node.expr);
+                return this.makeConcat(expr, this.makeStar(expr));
+            }
+            case 'Optional':
+                return this.makeUnion([RegexNode.epsilon(), this.normalize(node.expr)]);
+            case 'Complement':
+                return this.makeComplement(this.normalize(node.expr));
+            case 'Repeat':
+                return this.makeRepeat(this.normalize(node.expr), node.min, node.max);
+            default:
+                throw new Error(`Tipo de nodo desconocido: ${node.type}`);
+        }
+    }
+
+    /**
+     * Verifica si el lenguaje del nodo contiene la cadena vacia
+     * @param {Object} node - Nodo del AST
+     * @returns {boolean}
+     */
+    nullable(node) {
+        switch (node.type) {
+            case 'Epsilon': case 'Star': case 'Optional': return true;
+            case 'Symbol': case 'Empty': return false;
+            case 'Concat': case 'Intersection': return this.nullable(node.left) && this.nullable(node.right);
+            case 'Union': return this.nullable(node.left) || this.nullable(node.right);
+            case 'Plus': return this.nullable(node.expr);
+            case 'Repeat': return node.min === 0 || this.nullable(node.expr);
+            case 'Complement': return !this.nullable(node.expr);
+            default: throw new Error(`Tipo de nodo desconocido: ${node.type}`);
+        }
+    }
+
+    // ---------- Constructores normalizados ----------
+
+    /**
+     * Union sin ∅ ni repetidos, en orden canonico; Σ* absorbe al resto
+     * @param {Array<Object>} nodes - Operandos normalizados
+     * @returns {Object} Nodo normalizado
+     */
+    makeUnion(nodes) {
+        const operands = this.canonical(nodes.flatMap(node => this.flatten(node, 'Union')))
+            .filter(node => node.type !== 'Empty');
+        if (operands.some(node => this.isUniversal(node))) return this.universal;
+        if (operands.length === 0) return RegexNode.empty();
+        return operands.reduceRight((right, left) => RegexNode.union(left, right, null));
+    }
+
+    /**
+     * Interseccion sin Σ* ni repetidos, en orden canonico; ∅ absorbe al resto
+     * @param {Array<Object>} nodes - Operandos normalizados
+     * @returns {Object} Nodo normalizado
+     */
+    makeIntersection(nodes) {
+        const operands = this.canonical(nodes.flatMap(node => this.flatten(node, 'Intersection')))
+            .filter(node => !this.isUniversal(node));
+        if (operands.some(node => node.type === 'Empty')) return RegexNode.empty();
+        if (operands.length === 0) return this.universal;
+        return operands.reduceRight((right, left) => RegexNode.intersection(left, right, null));
+    }
+
+    makeConcat(left, right) {
+        if (left.type === 'Empty' || right.type === 'Empty') return RegexNode.empty();
+        if (left.type === 'Epsilon') return right;
+        if (right.type === 'Epsilon') return left;
+        // Asociatividad a la derecha: (rs)t -> r(st)
+        if (left.type === 'Concat') return this.makeConcat(left.left, this.makeConcat(left.right, right));
+        return RegexNode.concat(left, right, null);
+    }
+
+    makeStar(expr) {
+        if (expr.type === 'Star') return expr;
+        if (expr.type === 'Epsilon' || expr.type === 'Empty') return RegexNode.epsilon();
+        return RegexNode.star(expr, null);
+    }
+
+    makeComplement(expr) {
+        return expr.type === 'Complement' ? expr.expr : RegexNode.complement(expr, null);
+    }
+
+    makeRepeat(expr, min, max) {
+        if (max === 0) return RegexNode.epsilon();
+        if (min === 0 && max === Infinity) return this.makeStar(expr);
+        if (min === 1 && max === 1) return expr;
+        if (expr.type === 'Epsilon' || expr.type === 'Empty') return min === 0 ? RegexNode.epsilon() : expr;
+        return RegexNode.repeat(expr, min, max, null);
+    }
+
+    /**
+     * Elimina repetidos y ordena por clave estructural
+     * @param {Array<Object>} nodes - Nodos
+     * @returns {Array<Object>} Nodos distintos en orden canonico
+     */
+    canonical(nodes) {
+        const byKey = new Map();
+        nodes.forEach(node => byKey.set(this.key(node), node));
+        return Array.from(byKey.keys()).sort().map(key => byKey.get(key));
+    }
+
+    flatten(node, type) {
+        if (node.type !== type) return [node];
+        return [...this.flatten(node.left, type), ...this.flatten(node.right, type)];
+    }
+
+    isUniversal(node) {
+        return node.type === 'Complement' && node.expr.type === 'Empty';
+    }
+
+    /**
+     * Clave estructural de un nodo (memorizada por nodo)
+     * @param {Object} node - Nodo del AST
+     * @returns {string} Clave unica para nodos iguales
+     */
+    key(node) {
+        if (this.keys.has(node)) return this.keys.get(node);
+        let key;
+        switch (node.type) {
+            case 'Symbol': key = JSON.stringify(node.value); break;
+            case 'Epsilon': key = 'ε'; break;
+            case 'Empty': key = '∅'; break;
+            case 'Repeat': key = `Repeat{${node.min},${node.max}}(${this.key(node.expr)})`; break;
+            default:
+                key = node.expr
+                    ? `${node.type}(${this.key(node.expr)})`
+                    : `${node.type}(${this.key(node.left)},${this.key(node.right)})`;
+        }
+        this.keys.set(node, key);
+        return key;
+    }
+}
+
+export default RegexDerivatives;
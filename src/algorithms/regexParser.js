@@ -0,0 +1,402 @@
+import ShuntingYard from './shuntingYard.js';
+
+/**
+ * Parser descendente recursivo para expresiones regulares.
+ * Produce un arbol sintactico (AST) tipado con la posicion de cada nodo
+ * en la expresion original:
+ *
+ *   union        := intersection ('|' intersection)*
+ *   intersection := concat ('&' concat)*
+ *   concat       := prefix ('.'? prefix)*
+ *   prefix       := '~' prefix | repeat
+ *   repeat       := atom ('*' | '+' | '?' | '{n,m}')*
+ *   atom         := simbolo | clase | '(' union ')'
+ *
+ * Tipos de nodo: Symbol, Epsilon, Empty, Concat, Union, Intersection, Complement,
+ * Star, Plus, Optional, Repeat.
+ */
+
+/**
+ * Rango que cubren dos nodos consecutivos (null si alguno no tiene posicion)
+ * @param {Object} first - Primer nodo
+ * @param {Object} last - Ultimo nodo
+ * @returns {Object|null} { start, end }
+ */
+function spanBetween(first, last) {
+    if (!first.span || !last.span) return null;
+    return { start: first.span.start, end: last.span.end };
+}
+
+/**
+ * Constructores de nodos del AST
+ */
+export const RegexNode = {
+    symbol: (value, span = null) => ({ type: 'Symbol', value, span }),
+    epsilon: (span = null) => ({ type: 'Epsilon', span }),
+    empty: (span = null) => ({ type: 'Empty', span }),
+    concat: (left, right, span = spanBetween(left, right)) => ({ type: 'Concat', left, right, span }),
+    union: (left, right, span = spanBetween(left, right)) => ({ type: 'Union', left, right, span }),
+    intersection: (left, right, span = spanBetween(left, right)) => ({ type: 'Intersection', left, right, span }),
+    complement: (expr, span = expr.span) => ({ type: 'Complement', expr, span }),
+    star: (expr, span = expr.span) => ({ type: 'Star', expr, span }),
+    plus: (expr, span = expr.span) => ({ type: 'Plus', expr, span }),
+    optional: (expr, span = expr.span) => ({ type: 'Optional', expr, span }),
+    repeat: (expr, min, max, span = expr.span) => ({ type: 'Repeat', expr, min, max, span })
+};
+
+class RegexParser {
+    constructor() {
+        this.shuntingYard = new ShuntingYard();
+        this.epsilonSymbol = 'ε';
+        this.emptySymbol = '∅';
+        this.tokens = [];
+        this.index = 0;
+        this.alphabet = [];
+        this.source = '';
+    }
+
+    /**
+     * Analiza una expresion regular infija y construye su AST
+     * @param {string} regex - Expresion regular
+     * @param {Object} options - { alphabet, definitions } alfabeto declarado y definiciones con nombre;
+     *   con definiciones, los rangos del AST se refieren a la expresion expandida
+     * @returns {Object} Nodo raiz del AST
+     */
+    parse(regex, options = {}) {
+        regex = this.shuntingYard.expandDefinitions(regex, options);
+        if (!regex || regex.length === 0) {
+            return RegexNode.epsilon({ start: 0, end: 0 });
+        }
+
+        this.source = regex;
+        this.tokens = this.shuntingYard.tokenize(regex);
+        this.index = 0;
+        this.alphabet = this.shuntingYard.resolveAlphabet(this.tokens, options.alphabet);
+
+        const ast = this.parseUnion();
+
+        const extra = this.peek();
+        if (extra) {
+            if (extra.type === 'rparen') {
+                throw this.syntaxError('UNMATCHED_CLOSE_PAREN', 'Parentesis de cierre sin apertura correspondiente', extra);
+            }
+            throw this.syntaxError('UNEXPECTED_TOKEN', `Token inesperado '${extra.value}'`, extra);
+        }
+
+        return ast;
+    }
+
+    peek() {
+        return this.tokens[this.index] || null;
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    isOperator(token, value) {
+        return token !== null && token.type === 'operator' && token.value === value;
+    }
+
+    isUnaryOperator(token) {
+        return token !== null && token.type === 'operator' &&
+            this.shuntingYard.unaryOperators.has(this.shuntingYard.operatorKey(token));
+    }
+
+    /**
+     * Verifica si el token puede iniciar un operando (concatenacion implicita)
+     * @param {Object} token - Token a verificar
+     * @returns {boolean}
+     */
+    startsOperand(token) {
+        return token !== null && (['symbol', 'epsilon', 'empty', 'class', 'lparen'].includes(token.type) ||
+            this.shuntingYard.isPrefixOperator(token));
+    }
+
+    parseUnion() {
+        let left = this.parseIntersection();
+        while (this.isOperator(this.peek(), '|')) {
+            this.next();
+            left = RegexNode.union(left, this.parseIntersection());
+        }
+        return left;
+    }
+
+    parseIntersection() {
+        let left = this.parseConcat();
+        while (this.isOperator(this.peek(), '&')) {
+            this.next();
+            left = RegexNode.intersection(left, this.parseConcat());
+        }
+        return left;
+    }
+
+    parseConcat() {
+        let left = this.parsePrefix();
+        for (;;) {
+            const token = this.peek();
+            if (this.isOperator(token, '.')) {
+                this.next();
+            } else if (!this.startsOperand(token)) {
+                break;
+            }
+            left = RegexNode.concat(left, this.parsePrefix());
+        }
+        return left;
+    }
+
+    parsePrefix() {
+        const token = this.peek();
+        if (token === null || !this.shuntingYard.isPrefixOperator(token)) {
+            return this.parseRepeat();
+        }
+        this.next();
+        const expr = this.parsePrefix();
+        return RegexNode.complement(expr, expr.span ? { start: token.position, end: expr.span.end } : null);
+    }
+
+    parseRepeat() {
+        let expr = this.parseAtom();
+        while (this.isUnaryOperator(this.peek())) {
+            const token = this.next();
+            const span = expr.span ? { start: expr.span.start, end: token.end } : null;
+
+            if (token.min !== undefined) {
+                expr = RegexNode.repeat(expr, token.min, token.max, span);
+            } else if (token.value === '*') {
+                expr = RegexNode.star(expr, span);
+            } else if (token.value === '+') {
+                expr = RegexNode.plus(expr, span);
+            } else {
+                expr = RegexNode.optional(expr, span);
+            }
+        }
+        return expr;
+    }
+
+    parseAtom() {
+        const token = this.peek();
+
+        if (!token) {
+            const end = this.source.length;
+            throw this.syntaxError('MISSING_OPERAND', 'Se esperaba un operando al final de la expresion', { position: end, end: end });
+        }
+
+        if (token.type === 'symbol') {
+            this.next();
+            return RegexNode.symbol(token.value, { start: token.position, end: token.end });
+        }
+
+        if (token.type === 'epsilon') {
+            this.next();
+            return RegexNode.epsilon({ start: token.position, end: token.end });
+        }
+
+        if (token.type === 'empty') {
+            this.next();
+            return RegexNode.empty({ start: token.position, end: token.end });
+        }
+
+        if (token.type === 'class') {
+            this.next();
+            const span = { start: token.position, end: token.end };
+            return this.shuntingYard.classSymbols(token, this.alphabet)
+                .map(symbol => RegexNode.symbol(symbol, span))
+                .reduce((left, right) => RegexNode.union(left, right, span));
+        }
+
+        if (token.type === 'lparen') {
+            this.next();
+            if (this.peek() && this.peek().type === 'rparen') {
+                throw this.syntaxError('EMPTY_GROUP', 'Grupo vacio ()', token);
+            }
+            const inner = this.parseUnion();
+            const close = this.peek();
+            if (!close || close.type !== 'rparen') {
+                throw this.syntaxError('UNCLOSED_PAREN', 'Parentesis de apertura sin cierre correspondiente', token);
+            }
+            this.next();
+            return { ...inner, span: { start: token.position, end: close.end } };
+        }
+
+        if (token.type === 'rparen') {
+            throw this.syntaxError('UNMATCHED_CLOSE_PAREN', 'Parentesis de cierre sin apertura correspondiente', token);
+        }
+
+        const code = this.isUnaryOperator(token) ? 'DANGLING_QUANTIFIER' : 'MISSING_OPERAND';
+        throw this.syntaxError(code, `El operador '${token.value}' no tiene operando`, token);
+    }
+
+    /**
+     * Crea un error de sintaxis con la posicion del token que lo provoca
+     * @param {string} code - Codigo del error (mismos codigos que RegexDiagnostics)
+     * @param {string} message - Descripcion del error
+     * @param {Object} token - Token (o { position, end })
+     * @returns {Error} Error con propiedades code y span
+     */
+    syntaxError(code, message, token) {
+        const error = new Error(`${message} (posicion ${token.position})`);
+        error.code = code;
+        error.span = { start: token.position, end: token.end };
+        return error;
+    }
+
+    /**
+     * Serializa el AST a tokens postfijos compatibles con ShuntingYard.convert()
+     * @param {Object} node - Nodo del AST
+     * @returns {Array<Object>} Tokens en notacion postfija
+     */
+    toPostfixTokens(node) {
+        const operator = value => ({ type: 'operator', value });
+
+        switch (node.type) {
+            case 'Symbol':
+                return [{ type: 'symbol', value: node.value, escaped: this.shuntingYard.isMetaCharacter(node.value) }];
+            case 'Epsilon':
+                return [{ type: 'epsilon', value: this.epsilonSymbol }];
+            case 'Empty':
+                return [{ type: 'empty', value: this.emptySymbol }];
+            case 'Concat':
+                return [...this.toPostfixTokens(node.left), ...this.toPostfixTokens(node.right), operator('.')];
+            case 'Union':
+                return [...this.toPostfixTokens(node.left), ...this.toPostfixTokens(node.right), operator('|')];
+            case 'Intersection':
+                return [...this.toPostfixTokens(node.left), ...this.toPostfixTokens(node.right), operator('&')];
+            case 'Complement':
+                return [...this.toPostfixTokens(node.expr), operator('~')];
+            case 'Star':
+                return [...this.toPostfixTokens(node.expr), operator('*')];
+            case 'Plus':
+                return [...this.toPostfixTokens(node.expr), operator('+')];
+            case 'Optional':
+                return [...this.toPostfixTokens(node.expr), operator('?')];
+            case 'Repeat':
+                return [...this.toPostfixTokens(node.expr), { type: 'operator', value: this.repeatSuffix(node), min: node.min, max: node.max }];
+            default:
+                throw new Error(`Tipo de nodo desconocido: ${node.type}`);
+        }
+    }
+
+    /**
+     * Serializa el AST a la cadena postfija de ShuntingYard.convert()
+     * @param {Object} node - Nodo del AST
+     * @returns {string} Expresion postfija
+     */
+    toPostfix(node) {
+        return this.shuntingYard.tokensToString(this.toPostfixTokens(node));
+    }
+
+    /**
+     * Cuantificador de un nodo Repeat: {n}, {n,} o {n,m}
+     * @param {Object} node - Nodo Repeat
+     * @returns {string} Cuantificador en texto
+     */
+    repeatSuffix(node) {
+        const bounds = node.min === node.max ? `${node.min}` : `${node.min},${node.max === Infinity ? '' : node.max}`;
+        return `{${bounds}}`;
+    }
+
+    /**
+     * Precedencia de un nodo segun ShuntingYard.precedence (los operandos no tienen operador)
+     * @param {Object} node - Nodo del AST
+     * @returns {number} Precedencia (Infinity para simbolos, ε y ∅)
+     */
+    precedenceOf(node) {
+        const operators = {
+            Union: '|', Intersection: '&', Concat: '.', Complement: '~',
+            Star: '*', Plus: '+', Optional: '?', Repeat: '{}'
+        };
+        const key = operators[node.type];
+        return key ? this.shuntingYard.precedence[key] : Infinity;
+    }
+
+    /**
+     * Serializa el AST a notacion infija con los parentesis minimos.
+     * |, & y la concatenacion son asociativos, asi que a|(b|c) se escribe a|b|c;
+     * el operando de un cuantificador siempre es atomico para no producir a** ni a{2}*
+     * @param {Object} node - Nodo del AST
+     * @returns {string} Expresion infija
+     */
+    toInfix(node) {
+        const wrap = (child, minPrecedence) => {
+            const text = this.toInfix(child);
+            return this.precedenceOf(child) < minPrecedence ? `(${text})` : text;
+        };
+        const binary = separator => {
+            const precedence = this.precedenceOf(node);
+            return wrap(node.left, precedence) + separator + wrap(node.right, precedence);
+        };
+
+        switch (node.type) {
+            case 'Symbol':
+                return this.shuntingYard.tokensToString([{ type: 'symbol', value: node.value }]);
+            case 'Epsilon':
+                return this.epsilonSymbol;
+            case 'Empty':
+                return this.emptySymbol;
+            case 'Union':
+                return binary('|');
+            case 'Intersection':
+                return binary('&');
+            case 'Concat':
+                return binary('');
+            case 'Complement':
+                return '~' + wrap(node.expr, this.precedenceOf(node));
+            case 'Star':
+            case 'Plus':
+            case 'Optional':
+            case 'Repeat': {
+                const suffix = node.type === 'Repeat'
+                    ? this.repeatSuffix(node)
+                    : { Star: '*', Plus: '+', Optional: '?' }[node.type];
+                return wrap(node.expr, Infinity) + suffix;
+            }
+            default:
+                throw new Error(`Tipo de nodo desconocido: ${node.type}`);
+        }
+    }
+
+    /**
+     * Reescribe r{n,m} con copias del operando, para las construcciones por posiciones
+     * (cada copia tiene sus propios simbolos):
+     * a{2,4} -> aa(a(a)?)?, a{2,} -> aaa*
+     * @param {Object} node - Nodo Repeat
+     * @returns {Object} Nodo equivalente sin repeticion acotada
+     */
+    expandRepeat(node) {
+        const { expr, min, max } = node;
+        const parts = Array.from({ length: min }, () => expr);
+
+        if (max === Infinity) {
+            parts.push(RegexNode.star(expr, null));
+        } else if (max > min) {
+            let optional = null;
+            for (let i = min; i < max; i++) {
+                optional = RegexNode.optional(optional ? RegexNode.concat(expr, optional, null) : expr, null);
+            }
+            parts.push(optional);
+        }
+
+        if (parts.length === 0) return RegexNode.epsilon();
+        return parts.reduce((left, right) => RegexNode.concat(left, right, null));
+    }
+
+    /**
+     * Obtiene los simbolos que aparecen en el AST
+     * @param {Object} node - Nodo del AST
+     * @returns {Array<string>} Simbolos ordenados
+     */
+    collectSymbols(node) {
+        const symbols = new Set();
+        const visit = current => {
+            if (current.type === 'Symbol') symbols.add(current.value);
+            if (current.left) visit(current.left);
+            if (current.right) visit(current.right);
+            if (current.expr) visit(current.expr);
+        };
+        visit(node);
+        return Array.from(symbols).sort();
+    }
+}
+
+export default RegexParser;
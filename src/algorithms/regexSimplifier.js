@@ -0,0 +1,328 @@
+import RegexParser, { RegexNode } from './regexParser.js';
+import ShuntingYard from './shuntingYard.js';
+
+/**
+ * Simplificador de expresiones regulares por reescritura algebraica.
+ * Aplica identidades del algebra de Kleene sobre el AST de RegexParser,
+ * una reescritura a la vez, hasta que ninguna regla aplica. Cada paso
+ * registra la regla usada y la expresion resultante (con parentesis minimos).
+ */
+class RegexSimplifier {
+    constructor() {
+        this.parser = new RegexParser();
+        this.shuntingYard = new ShuntingYard();
+        this.maxRewrites = 1000; // Tope de seguridad ante reglas que no terminen
+
+        // Nombre de la regla -> identidad que aplica
+        this.rules = {
+            'union-empty': '∅|r = r',
+            'union-idempotence': 'r|r = r',
+            'union-epsilon': 'ε|r = r? (o r si r acepta ε)',
+            'factor-prefix': 'rs|rt = r(s|t)',
+            'concat-empty': '∅r = r∅ = ∅',
+            'concat-epsilon': 'εr = rε = r',
+            'star-concat': 'r*r* = r*',
+            'star-nested': '(r*)* = (r+)* = (r?)* = r*',
+            'star-trivial': 'ε* = ∅* = ε',
+            'plus-nested': '(r*)+ = r*, (r+)+ = r+, (r?)+ = r*',
+            'plus-trivial': 'ε+ = ε, ∅+ = ∅',
+            'optional-nullable': 'r? = r si r acepta ε',
+            'optional-plus': '(r+)? = r*',
+            'optional-empty': '∅? = ε',
+            'repeat-normalize': 'r{0} = ε, r{1} = r, r{0,} = r*, r{1,} = r+, r{0,1} = r?',
+            'intersection-empty': 'r&∅ = ∅',
+            'intersection-idempotence': 'r&r = r',
+            'double-complement': '~~r = r'
+        };
+    }
+
+    /**
+     * Simplifica una expresion regular (o un AST)
+     * @param {string|Object} regex - Expresion infija o AST de RegexParser
+     * @param {Object} options - { alphabet, definitions } como en ShuntingYard.convert
+     * @returns {Object} { success, original, expression, postfix, ast, alphabet, steps, rulesApplied }
+     *   alphabet es el de la expresion original: reglas como union-empty o
+     *   concat-empty quitan simbolos, y un complemento (~) del resultado se
+     *   toma respecto a este alfabeto (ThompsonNFA.fromRegex con { alphabet })
+     */
+    simplify(regex, options = {}) {
+        try {
+            let ast = regex;
+            let alphabet;
+            if (typeof regex === 'string') {
+                const validation = this.shuntingYard.validate(regex, options);
+                if (!validation.isValid) {
+                    return { success: false, errors: validation.errors, diagnostics: validation.diagnostics, expression: null };
+                }
+                ast = this.parser.parse(regex, options);
+                const expression = this.shuntingYard.expandDefinitions(regex, options);
+                alphabet = expression ? this.shuntingYard.resolveAlphabet(this.shuntingYard.tokenize(expression), options.alphabet) : [];
+            } else {
+                alphabet = options.alphabet ? this.shuntingYard.resolveAlphabet([], options.alphabet) : this.parser.collectSymbols(ast);
+            }
+
+            const original = this.parser.toInfix(ast);
+            const steps = [{ step: 1, rule: null, description: 'Expresion original', expression: original }];
+            const rulesApplied = [];
+
+            for (let i = 0; i < this.maxRewrites; i++) {
+                const rewrite = this.rewrite(ast);
+                if (!rewrite) break;
+
+                ast = rewrite.node;
+                if (!rulesApplied.includes(rewrite.rule)) rulesApplied.push(rewrite.rule);
+                steps.push({
+                    step: steps.length + 1,
+                    rule: rewrite.rule,
+                    description: `${rewrite.rule}: ${this.rules[rewrite.rule]}`,
+                    expression: this.parser.toInfix(ast)
+                });
+            }
+
+            return {
+                success: true,
+                original: typeof regex === 'string' ? regex : original,
+                expression: this.parser.toInfix(ast),
+                postfix: this.parser.toPostfix(ast),
+                ast,
+                alphabet,
+                steps,
+                rulesApplied
+            };
+        } catch (error) {
+            return { success: false, errors: [error.message], expression: null };
+        }
+    }
+
+    /**
+     * Aplica la primera reescritura posible, buscando primero en los hijos
+     * @param {Object} node - Nodo del AST
+     * @returns {Object|null} { node, rule } con el arbol reescrito, o null si ya es irreducible
+     */
+    rewrite(node) {
+        for (const field of ['left', 'right', 'expr']) {
+            if (!node[field]) continue;
+            const child = this.rewrite(node[field]);
+            if (child) {
+                return { node: { ...node, [field]: child.node, span: null }, rule: child.rule };
+            }
+        }
+        return this.applyRules(node);
+    }
+
+    /**
+     * Reglas que aplican en la raiz del nodo
+     * @param {Object} node - Nodo del AST con hijos ya irreducibles
+     * @returns {Object|null} { node, rule }
+     */
+    applyRules(node) {
+        switch (node.type) {
+            case 'Union': return this.simplifyUnion(node);
+            case 'Concat': return this.simplifyConcat(node);
+            case 'Star': return this.simplifyStar(node);
+            case 'Plus': return this.simplifyPlus(node);
+            case 'Optional': return this.simplifyOptional(node);
+            case 'Repeat': return this.simplifyRepeat(node);
+            case 'Intersection': return this.simplifyIntersection(node);
+            case 'Complement':
+                return node.expr.type === 'Complement' ? { node: node.expr.expr, rule: 'double-complement' } : null;
+            default: return null;
+        }
+    }
+
+    simplifyUnion(node) {
+        const alternatives = this.flatten(node, 'Union');
+
+        if (alternatives.some(alt => alt.type === 'Empty')) {
+            const rest = alternatives.filter(alt => alt.type !== 'Empty');
+            return { node: rest.length ? this.build(rest, 'Union') : RegexNode.empty(), rule: 'union-empty' };
+        }
+
+        const unique = this.dedupe(alternatives);
+        if (unique.length < alternatives.length) {
+            return { node: this.build(unique, 'Union'), rule: 'union-idempotence' };
+        }
+
+        const epsilonIndex = alternatives.findIndex(alt => alt.type === 'Epsilon');
+        if (epsilonIndex !== -1) {
+            const rest = alternatives.filter((alt, index) => index !== epsilonIndex);
+            const union = this.build(rest, 'Union');
+            return { node: this.nullable(union) ? union : RegexNode.optional(union, null), rule: 'union-epsilon' };
+        }
+
+        return this.factorPrefix(alternatives);
+    }
+
+    /**
+     * Factoriza el primer factor comun de dos o mas alternativas: ab|ac|d -> a(b|c)|d
+     * @param {Array<Object>} alternatives - Alternativas de la union
+     * @returns {Object|null} { node, rule }
+     */
+    factorPrefix(alternatives) {
+        const heads = alternatives.map(alt => this.key(this.flatten(alt, 'Concat')[0]));
+
+        for (let i = 0; i < alternatives.length; i++) {
+            const group = heads.map((head, index) => index).filter(index => heads[index] === heads[i]);
+            if (group.length < 2) continue;
+
+            const prefix = this.flatten(alternatives[i], 'Concat')[0];
+            const tails = group.map(index => {
+                const factors = this.flatten(alternatives[index], 'Concat').slice(1);
+                return factors.length ? this.build(factors, 'Concat') : RegexNode.epsilon();
+            });
+            const factored = RegexNode.concat(prefix, this.build(tails, 'Union'), null);
+
+            const result = [];
+            alternatives.forEach((alt, index) => {
+                if (index === group[0]) result.push(factored);
+                else if (!group.includes(index)) result.push(alt);
+            });
+            return { node: this.build(result, 'Union'), rule: 'factor-prefix' };
+        }
+        return null;
+    }
+
+    simplifyConcat(node) {
+        const factors = this.flatten(node, 'Concat');
+
+        if (factors.some(factor => factor.type === 'Empty')) {
+            return { node: RegexNode.empty(), rule: 'concat-empty' };
+        }
+
+        if (factors.some(factor => factor.type === 'Epsilon')) {
+            const rest = factors.filter(factor => factor.type !== 'Epsilon');
+            return { node: rest.length ? this.build(rest, 'Concat') : RegexNode.epsilon(), rule: 'concat-epsilon' };
+        }
+
+        for (let i = 0; i + 1 < factors.length; i++) {
+            if (factors[i].type === 'Star' && this.key(factors[i]) === this.key(factors[i + 1])) {
+                const rest = factors.filter((factor, index) => index !== i + 1);
+                return { node: this.build(rest, 'Concat'), rule: 'star-concat' };
+            }
+        }
+        return null;
+    }
+
+    simplifyStar(node) {
+        const inner = node.expr;
+        if (['Star', 'Plus', 'Optional'].includes(inner.type)) {
+            return { node: RegexNode.star(inner.expr, null), rule: 'star-nested' };
+        }
+        if (inner.type === 'Epsilon' || inner.type === 'Empty') {
+            return { node: RegexNode.epsilon(), rule: 'star-trivial' };
+        }
+        return null;
+    }
+
+    simplifyPlus(node) {
+        const inner = node.expr;
+        if (inner.type === 'Star' || inner.type === 'Plus') {
+            return { node: inner, rule: 'plus-nested' };
+        }
+        if (inner.type === 'Optional') {
+            return { node: RegexNode.star(inner.expr, null), rule: 'plus-nested' };
+        }
+        if (inner.type === 'Epsilon' || inner.type === 'Empty') {
+            return { node: inner, rule: 'plus-trivial' };
+        }
+        return null;
+    }
+
+    simplifyOptional(node) {
+        const inner = node.expr;
+        if (inner.type === 'Empty') {
+            return { node: RegexNode.epsilon(), rule: 'optional-empty' };
+        }
+        if (this.nullable(inner)) {
+            return { node: inner, rule: 'optional-nullable' };
+        }
+        if (inner.type === 'Plus') {
+            return { node: RegexNode.star(inner.expr, null), rule: 'optional-plus' };
+        }
+        return null;
+    }
+
+    simplifyRepeat(node) {
+        const { expr, min, max } = node;
+        let result = null;
+        if (max === 0) result = RegexNode.epsilon();
+        else if (min === 1 && max === 1) result = expr;
+        else if (min === 0 && max === Infinity) result = RegexNode.star(expr, null);
+        else if (min === 1 && max === Infinity) result = RegexNode.plus(expr, null);
+        else if (min === 0 && max === 1) result = RegexNode.optional(expr, null);
+        return result ? { node: result, rule: 'repeat-normalize' } : null;
+    }
+
+    simplifyIntersection(node) {
+        const operands = this.flatten(node, 'Intersection');
+        if (operands.some(operand => operand.type === 'Empty')) {
+            return { node: RegexNode.empty(), rule: 'intersection-empty' };
+        }
+        const unique = this.dedupe(operands);
+        if (unique.length < operands.length) {
+            return { node: this.build(unique, 'Intersection'), rule: 'intersection-idempotence' };
+        }
+        return null;
+    }
+
+    /**
+     * Verifica si el lenguaje del nodo contiene la cadena vacia
+     * @param {Object} node - Nodo del AST
+     * @returns {boolean}
+     */
+    nullable(node) {
+        switch (node.type) {
+            case 'Epsilon': case 'Star': case 'Optional': return true;
+            case 'Symbol': case 'Empty': return false;
+            case 'Concat': case 'Intersection': return this.nullable(node.left) && this.nullable(node.right);
+            case 'Union': return this.nullable(node.left) || this.nullable(node.right);
+            case 'Plus': return this.nullable(node.expr);
+            case 'Repeat': return node.min === 0 || this.nullable(node.expr);
+            case 'Complement': return !this.nullable(node.expr);
+            default: throw new Error(`Tipo de nodo desconocido: ${node.type}`);
+        }
+    }
+
+    /**
+     * Lista de operandos de una cadena de operadores asociativos: (a|b)|c -> [a, b, c]
+     * @param {Object} node - Nodo del AST
+     * @param {string} type - 'Union', 'Concat' o 'Intersection'
+     * @returns {Array<Object>} Operandos en orden
+     */
+    flatten(node, type) {
+        if (node.type !== type) return [node];
+        return [...this.flatten(node.left, type), ...this.flatten(node.right, type)];
+    }
+
+    /**
+     * Reconstruye una cadena de operadores asociativos por la izquierda
+     * @param {Array<Object>} nodes - Operandos (al menos uno)
+     * @param {string} type - 'Union', 'Concat' o 'Intersection'
+     * @returns {Object} Nodo resultante
+     */
+    build(nodes, type) {
+        const factory = { Union: RegexNode.union, Concat: RegexNode.concat, Intersection: RegexNode.intersection }[type];
+        return nodes.reduce((left, right) => factory(left, right, null));
+    }
+
+    dedupe(nodes) {
+        const seen = new Set();
+        return nodes.filter(node => {
+            const key = this.key(node);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Clave estructural de un nodo (ignora los rangos)
+     * @param {Object} node - Nodo del AST
+     * @returns {string} Postfija del nodo
+     */
+    key(node) {
+        return this.parser.toPostfix(node);
+    }
+}
+
+export default RegexSimplifier;
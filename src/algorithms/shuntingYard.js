@@ -1,3 +1,7 @@
+import RegexDiagnostics from '../utils/regexDiagnostics.js';
+import RegexDefinitions from './regexDefinitions.js';
+import SymbolTokenizer from '../utils/symbolTokenizer.js';
+
 /**
  * Implementacion del algoritmo Shunting Yard para convertir
  * expresiones regulares de notacion infija a postfija
@@ -8,33 +12,58 @@ class ShuntingYard {
         // Definir precedencia de operadores (mayor número = mayor precedencia)
         this.precedence = {
             '|': 1,    // OR (alternacion)
-            '.': 2,    // Concatenacion implicita
-            '+': 3,    // Una o mas repeticiones
-            '*': 3,    // Cero o mas repeticiones
-            '?': 3     // Cero o una repeticion (opcional)
+            '&': 2,    // Interseccion
+            '.': 3,    // Concatenacion implicita
+            '~': 4,    // Complemento (prefijo)
+            '+': 5,    // Una o mas repeticiones
+            '*': 5,    // Cero o mas repeticiones
+            '?': 5,    // Cero o una repeticion (opcional)
+            '{}': 5    // Repeticion acotada {n}, {n,}, {n,m}
         };
 
         // Operadores que son asociativos por la izquierda
-        this.leftAssociative = new Set(['|', '.']);
+        this.leftAssociative = new Set(['|', '&', '.']);
         
         // Operadores unarios (postfijos)
-        this.unaryOperators = new Set(['*', '+', '?']);
+        this.unaryOperators = new Set(['*', '+', '?', '{}']);
+
+        // Operadores unarios prefijos
+        this.prefixOperators = new Set(['~']);
         
         // Operadores binarios
-        this.binaryOperators = new Set(['|', '.']);
+        this.binaryOperators = new Set(['|', '&', '.']);
+
+        // Escrituras alternativas de un operador: !r = ~r
+        this.operatorAliases = { '!': '~' };
         
         // Simbolo para representar epsilon (cadena vacia)
         this.epsilonSymbol = 'ε';
+
+        // Simbolo para representar el lenguaje vacio
+        this.emptySymbol = '∅';
+
+        // Alias ASCII: \e = ε (cadena vacia), \0 = ∅ (lenguaje vacio, el 0 del algebra de Kleene)
+        this.literalAliases = { e: 'epsilon', 0: 'empty' };
+
+        // Caracter de escape para usar operadores como simbolos literales
+        this.escapeChar = '\\';
+
+        // Comilla para simbolos de varios caracteres: 'if', '<='
+        this.quoteChar = "'";
+
+        // Secuencias de escape con significado especial (\n, \t)
+        this.escapeSequences = { n: '\n', t: '\t' };
     }
 
     /**
      * Convierte una expresion regular a notacion postfija
      * @param {string} regex - Expresion regular en notacion infija
-     * @returns {string} Expresion en notacion postfija
+     * @param {Object} options - { alphabet } alfabeto declarado para clases negadas
+     * @returns {Array<Object>} Tokens en notacion postfija
      */
-    infixToPostfix(regex) {
+    infixToPostfix(regex, options = {}) {
         // Paso 1: Preprocesar la expresion regular
-        const preprocessed = this.preprocess(regex);
+        const preprocessed = this.preprocess(regex, options);
         
         // Paso 2: Aplicar Shunting Yard
         const postfix = this.shuntingYard(preprocessed);
@@ -42,28 +71,462 @@ class ShuntingYard {
         return postfix;
     }
 
+    /**
+     * Divide la expresion en tokens resolviendo las secuencias de escape.
+     * Un simbolo escapado (\*, \(, \\, ...) siempre es un operando.
+     * ε / \e producen un token 'epsilon' y ∅ / \0 un token 'empty'.
+     * Las clases de caracteres ([a-z], [^0-9]) producen un token 'class'.
+     * Se recorre por puntos de codigo (un emoji es un solo simbolo) y un texto
+     * entre comillas ('if') es un unico simbolo de varios caracteres.
+     * @param {string} regex - Expresion regular (infija o postfija)
+     * @returns {Array<Object>} Tokens { type, value, position, end, escaped? }
+     */
+    tokenize(regex) {
+        const tokens = [];
+
+        for (let i = 0; i < regex.length; i++) {
+            const char = String.fromCodePoint(regex.codePointAt(i));
+
+            if (char === this.escapeChar && this.literalAliases.hasOwnProperty(regex[i + 1])) {
+                const type = this.literalAliases[regex[i + 1]];
+                const value = type === 'epsilon' ? this.epsilonSymbol : this.emptySymbol;
+                tokens.push({ type: type, value: value, position: i, end: i + 2 });
+                i++;
+            } else if (char === this.epsilonSymbol) {
+                tokens.push({ type: 'epsilon', value: char, position: i, end: i + 1 });
+            } else if (char === this.emptySymbol) {
+                tokens.push({ type: 'empty', value: char, position: i, end: i + 1 });
+            } else if (char === this.escapeChar) {
+                const value = this.readEscape(regex, i);
+                tokens.push({ type: 'symbol', value: value, position: i, end: i + 2, escaped: true });
+                i++;
+            } else if (char === this.quoteChar) {
+                const quoted = this.readQuotedSymbol(regex, i);
+                tokens.push(quoted);
+                i = quoted.end - 1;
+            } else if (char === '[') {
+                const classToken = this.readCharacterClass(regex, i);
+                tokens.push(classToken);
+                i = classToken.end - 1;
+            } else if (char === ']') {
+                throw this.lexicalError('UNMATCHED_BRACKET', `Corchete de cierre sin apertura en la posicion ${i}`, i, i + 1);
+            } else if (char === '{') {
+                const quantifier = this.readQuantifier(regex, i);
+                tokens.push(quantifier);
+                i = quantifier.end - 1;
+            } else if (char === '}') {
+                throw this.lexicalError('UNMATCHED_BRACE', `Llave de cierre sin apertura en la posicion ${i}`, i, i + 1);
+            } else if (char === '(') {
+                tokens.push({ type: 'lparen', value: char, position: i, end: i + 1 });
+            } else if (char === ')') {
+                tokens.push({ type: 'rparen', value: char, position: i, end: i + 1 });
+            } else if (this.isOperator(char)) {
+                tokens.push({ type: 'operator', value: char, position: i, end: i + 1 });
+            } else if (this.operatorAliases.hasOwnProperty(char)) {
+                tokens.push({ type: 'operator', value: this.operatorAliases[char], position: i, end: i + 1 });
+            } else {
+                tokens.push({ type: 'symbol', value: char, position: i, end: i + char.length, escaped: false });
+                i += char.length - 1;
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Lee un simbolo entre comillas simples. Dentro se pueden escapar \' y \\
+     * @param {string} regex - Expresion regular
+     * @param {number} start - Posicion de la comilla de apertura
+     * @returns {Object} Token { type: 'symbol', value, position, end, escaped: true, quoted: true }
+     */
+    readQuotedSymbol(regex, start) {
+        let value = '';
+        let i = start + 1;
+
+        while (i < regex.length && regex[i] !== this.quoteChar) {
+            if (regex[i] === this.escapeChar) {
+                value += this.readEscape(regex, i);
+                i += 2;
+            } else {
+                value += regex[i++];
+            }
+        }
+
+        if (i >= regex.length) {
+            throw this.lexicalError('UNCLOSED_QUOTE', `Simbolo entre comillas sin cerrar en la posicion ${start}`, start, regex.length);
+        }
+        if (value.length === 0) {
+            throw this.lexicalError('EMPTY_QUOTED_SYMBOL', `Simbolo vacio '' en la posicion ${start} (use ε para la cadena vacia)`, start, i + 1);
+        }
+
+        return { type: 'symbol', value: value, position: start, end: i + 1, escaped: true, quoted: true };
+    }
+
+    /**
+     * Crea un error lexico con codigo y rango, para que RegexDiagnostics lo pueda ubicar
+     * @param {string} code - Codigo del error
+     * @param {string} message - Descripcion del error
+     * @param {number} start - Posicion inicial
+     * @param {number} end - Posicion final (exclusiva)
+     * @returns {Error} Error con propiedades code y span
+     */
+    lexicalError(code, message, start, end) {
+        const error = new Error(message);
+        error.code = code;
+        error.span = { start, end };
+        return error;
+    }
+
+    /**
+     * Lee la secuencia de escape que empieza en la posicion dada
+     * @param {string} regex - Expresion regular
+     * @param {number} index - Posicion del caracter de escape
+     * @param {string} extra - Caracteres adicionales escapables en este contexto
+     * @returns {string} Simbolo literal representado por el escape
+     */
+    readEscape(regex, index, extra = '') {
+        if (index === regex.length - 1) {
+            throw this.lexicalError('INCOMPLETE_ESCAPE', `Secuencia de escape incompleta en la posicion ${index}`, index, index + 1);
+        }
+        const next = regex[index + 1];
+        if (this.escapeSequences.hasOwnProperty(next)) {
+            return this.escapeSequences[next];
+        }
+        if (this.isMetaCharacter(next) || extra.includes(next)) {
+            return next;
+        }
+        throw this.lexicalError('UNKNOWN_ESCAPE', `Secuencia de escape desconocida: \\${next} (posicion ${index})`, index, index + 2);
+    }
+
+    /**
+     * Lee una clase de caracteres [...] con rangos (a-z) y negacion (^)
+     * @param {string} regex - Expresion regular
+     * @param {number} start - Posicion del corchete de apertura
+     * @returns {Object} Token { type: 'class', value, symbols, negated, position, end }
+     */
+    readCharacterClass(regex, start) {
+        let i = start + 1;
+        const negated = regex[i] === '^';
+        if (negated) i++;
+
+        const symbols = [];
+        const readChar = () => {
+            if (regex[i] === this.escapeChar) {
+                const value = this.readEscape(regex, i, '-^');
+                i += 2;
+                return value;
+            }
+            const char = String.fromCodePoint(regex.codePointAt(i));
+            i += char.length;
+            return char;
+        };
+
+        let closed = false;
+        while (i < regex.length) {
+            if (regex[i] === ']') {
+                closed = true;
+                break;
+            }
+
+            const rangeStart = i;
+            const low = readChar();
+            if (regex[i] === '-' && i + 1 < regex.length && regex[i + 1] !== ']') {
+                i++;
+                const high = readChar();
+                const from = low.codePointAt(0);
+                const to = high.codePointAt(0);
+                if (from > to) {
+                    throw this.lexicalError('INVALID_RANGE', `Rango invalido en clase de caracteres: ${low}-${high} (posicion ${rangeStart})`, rangeStart, i);
+                }
+                for (let code = from; code <= to; code++) {
+                    symbols.push(String.fromCodePoint(code));
+                }
+            } else {
+                symbols.push(low);
+            }
+        }
+
+        if (!closed) {
+            throw this.lexicalError('UNCLOSED_CLASS', `Clase de caracteres sin cerrar en la posicion ${start}`, start, regex.length);
+        }
+        if (symbols.length === 0 && !negated) {
+            throw this.lexicalError('EMPTY_CLASS', `Clase de caracteres vacia en la posicion ${start}`, start, i + 1);
+        }
+
+        return {
+            type: 'class',
+            value: regex.slice(start, i + 1),
+            symbols: Array.from(new Set(symbols)),
+            negated: negated,
+            position: start,
+            end: i + 1
+        };
+    }
+
+    /**
+     * Lee un cuantificador de repeticion acotada: {n}, {n,} o {n,m}
+     * @param {string} regex - Expresion regular
+     * @param {number} start - Posicion de la llave de apertura
+     * @returns {Object} Token operador { value, min, max, position, end } (max = Infinity para {n,})
+     */
+    readQuantifier(regex, start) {
+        const close = regex.indexOf('}', start);
+        if (close === -1) {
+            throw this.lexicalError('UNCLOSED_BRACE', `Llave de apertura sin cierre en la posicion ${start}`, start, regex.length);
+        }
+
+        const body = regex.slice(start + 1, close);
+        const match = /^(\d+)(,(\d*))?$/.exec(body);
+        if (!match) {
+            throw this.lexicalError('MALFORMED_QUANTIFIER', `Cuantificador mal formado en la posicion ${start}: {${body}} (se espera {n}, {n,} o {n,m})`, start, close + 1);
+        }
+
+        const min = parseInt(match[1], 10);
+        const max = match[2] === undefined ? min : (match[3] === '' ? Infinity : parseInt(match[3], 10));
+        if (max < min) {
+            throw this.lexicalError('INVALID_QUANTIFIER_BOUNDS', `Cuantificador invalido en la posicion ${start}: {${body}} tiene el maximo menor que el minimo`, start, close + 1);
+        }
+
+        return {
+            type: 'operator',
+            value: `{${body}}`,
+            min: min,
+            max: max,
+            position: start,
+            end: close + 1
+        };
+    }
+
+    /**
+     * Clave del operador en la tabla de precedencias
+     * (todos los cuantificadores {n,m} comparten la entrada '{}')
+     * @param {Object} token - Token operador
+     * @returns {string} Clave del operador
+     */
+    operatorKey(token) {
+        return token.min !== undefined ? '{}' : token.value;
+    }
+
+    /**
+     * Obtiene el alfabeto contra el que se resuelven las clases negadas:
+     * el declarado por el usuario o, si no hay, los simbolos que aparecen en la expresion
+     * @param {Array<Object>} tokens - Tokens de la expresion
+     * @param {string|Array<string>|Set<string>} alphabet - Alfabeto declarado (opcional)
+     * @returns {Array<string>} Alfabeto ordenado
+     */
+    resolveAlphabet(tokens, alphabet = null) {
+        if (alphabet) {
+            // ε y ∅ no son simbolos del alfabeto
+            const declared = Array.from(alphabet).filter(symbol => symbol !== this.epsilonSymbol && symbol !== this.emptySymbol);
+            return Array.from(new Set(declared)).sort();
+        }
+
+        const inferred = new Set();
+        tokens.forEach(token => {
+            if (token.type === 'symbol') {
+                inferred.add(token.value);
+            } else if (token.type === 'class') {
+                token.symbols.forEach(symbol => inferred.add(symbol));
+            }
+        });
+        return Array.from(inferred).sort();
+    }
+
+    /**
+     * Simbolos que representa una clase de caracteres (resolviendo la negacion)
+     * @param {Object} token - Token 'class'
+     * @param {Array<string>} alphabet - Alfabeto para resolver clases negadas
+     * @returns {Array<string>} Simbolos de la clase
+     */
+    classSymbols(token, alphabet) {
+        const symbols = token.negated
+            ? alphabet.filter(symbol => !token.symbols.includes(symbol))
+            : token.symbols;
+
+        if (symbols.length === 0) {
+            throw this.lexicalError('EMPTY_CLASS_RESULT', `La clase ${token.value} no contiene simbolos del alfabeto (posicion ${token.position})`,
+                token.position, token.end);
+        }
+        return symbols;
+    }
+
+    /**
+     * Expande las clases de caracteres en alternaciones: [a-c] -> (a|b|c)
+     * @param {Array<Object>} tokens - Tokens de la expresion
+     * @param {Array<string>} alphabet - Alfabeto para resolver clases negadas
+     * @returns {Array<Object>} Tokens sin clases de caracteres
+     */
+    expandCharacterClasses(tokens, alphabet) {
+        const result = [];
+
+        tokens.forEach(token => {
+            if (token.type !== 'class') {
+                result.push(token);
+                return;
+            }
+
+            const symbols = this.classSymbols(token, alphabet);
+            const toSymbol = symbol => ({
+                type: 'symbol',
+                value: symbol,
+                position: token.position,
+                escaped: this.isMetaCharacter(symbol)
+            });
+
+            if (symbols.length === 1) {
+                result.push(toSymbol(symbols[0]));
+                return;
+            }
+
+            result.push({ type: 'lparen', value: '(', position: token.position });
+            symbols.forEach((symbol, index) => {
+                if (index > 0) {
+                    result.push({ type: 'operator', value: '|', position: token.position });
+                }
+                result.push(toSymbol(symbol));
+            });
+            result.push({ type: 'rparen', value: ')', position: token.position });
+        });
+
+        return result;
+    }
+
+    /**
+     * Verifica si un caracter tiene significado especial en la sintaxis
+     * (y por lo tanto debe escaparse para usarse como simbolo)
+     * @param {string} char - Caracter a verificar
+     * @returns {boolean} True si es metacaracter
+     */
+    isMetaCharacter(char) {
+        return this.isOperator(char) || this.operatorAliases.hasOwnProperty(char) ||
+            '()[]{}'.includes(char) || char === this.escapeChar || char === this.quoteChar;
+    }
+
+    /**
+     * Convierte una lista de tokens de vuelta a texto, escapando
+     * los simbolos que de otra forma se leerian como operadores
+     * @param {Array<Object>} tokens - Tokens a serializar
+     * @returns {string} Representacion en texto
+     */
+    tokensToString(tokens) {
+        return tokens.map(token => {
+            if (token.type !== 'symbol') {
+                return token.value;
+            }
+            if (token.value === '\n') return '\\n';
+            if (token.value === '\t') return '\\t';
+            if (SymbolTokenizer.isMultiChar(token.value)) return SymbolTokenizer.format(token.value);
+            return this.isMetaCharacter(token.value) ? this.escapeChar + token.value : token.value;
+        }).join('');
+    }
+
+    /**
+     * Reescribe los cuantificadores {n,m} con copias del operando:
+     * a{2,3} -> aaa?, (ab){2,} -> (ab)(ab)(ab)*, a{0} -> ε
+     * @param {Array<Object>} tokens - Tokens sin clases de caracteres
+     * @returns {Array<Object>} Tokens equivalentes sin cuantificadores acotados
+     */
+    expandRepetitions(tokens) {
+        const result = [];
+
+        tokens.forEach(token => {
+            if (token.min === undefined) {
+                result.push(token);
+                return;
+            }
+
+            const operand = result.splice(this.findOperandStart(result));
+            const isGroup = operand.length === 1 ||
+                (operand[0].type === 'lparen' && this.findOperandStart(operand) === 0 && operand[operand.length - 1].type === 'rparen');
+            const unit = isGroup ? operand : [
+                { type: 'lparen', value: '(', position: token.position },
+                ...operand,
+                { type: 'rparen', value: ')', position: token.position }
+            ];
+
+            if (token.max === 0) {
+                result.push({ type: 'epsilon', value: this.epsilonSymbol, position: token.position });
+                return;
+            }
+
+            const expansion = [];
+            for (let i = 0; i < token.min; i++) {
+                expansion.push(...unit);
+            }
+            if (token.max === Infinity) {
+                expansion.push(...unit, { type: 'operator', value: '*', position: token.position });
+            } else {
+                for (let i = token.min; i < token.max; i++) {
+                    expansion.push(...unit, { type: 'operator', value: '?', position: token.position });
+                }
+            }
+
+            // ~a{2} complementa toda la repeticion: ~(aa), no (~a)a
+            const previous = result[result.length - 1];
+            if (expansion.length > unit.length && previous && this.isPrefixOperator(previous)) {
+                result.push({ type: 'lparen', value: '(', position: token.position }, ...expansion,
+                    { type: 'rparen', value: ')', position: token.position });
+            } else {
+                result.push(...expansion);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Busca el inicio del operando que termina al final de la lista de tokens
+     * (un simbolo, un grupo entre parentesis o un operando con operadores unarios)
+     * @param {Array<Object>} tokens - Tokens infijos
+     * @returns {number} Indice donde empieza el operando
+     */
+    findOperandStart(tokens) {
+        let index = tokens.length - 1;
+
+        // Saltar los operadores unarios que ya se aplicaron al operando
+        while (index > 0 && tokens[index].type === 'operator' &&
+               this.unaryOperators.has(this.operatorKey(tokens[index]))) {
+            index--;
+        }
+
+        if (tokens[index].type !== 'rparen') {
+            return index;
+        }
+
+        let depth = 0;
+        for (; index >= 0; index--) {
+            if (tokens[index].type === 'rparen') depth++;
+            if (tokens[index].type === 'lparen') depth--;
+            if (depth === 0) return index;
+        }
+        throw new Error('Parentesis desbalanceados');
+    }
+
     /**
      * Preprocesa la expresion regular para añadir concatenaciones explicitas
      * @param {string} regex - Expresion regular original
-     * @returns {string} Expresion con concatenaciones explicitas
+     * @param {Object} options - { alphabet } alfabeto declarado para clases negadas
+     * @returns {Array<Object>} Tokens con concatenaciones explicitas
      */
-    preprocess(regex) {
+    preprocess(regex, options = {}) {
         if (!regex || regex.length === 0) {
-            return this.epsilonSymbol;
+            return [{ type: 'epsilon', value: this.epsilonSymbol, position: 0, end: 0 }];
         }
 
-        let result = '';
+        const rawTokens = this.tokenize(regex);
+        const tokens = this.expandCharacterClasses(rawTokens, this.resolveAlphabet(rawTokens, options.alphabet));
+        const result = [];
         
-        for (let i = 0; i < regex.length; i++) {
-            const current = regex[i];
-            result += current;
+        for (let i = 0; i < tokens.length; i++) {
+            const current = tokens[i];
+            result.push(current);
             
-            // Si hay un siguiente caracter, verificar si necesitamos concatenacion
-            if (i < regex.length - 1) {
-                const next = regex[i + 1];
+            // Si hay un siguiente token, verificar si necesitamos concatenacion
+            if (i < tokens.length - 1) {
+                const next = tokens[i + 1];
                 
                 if (this.needsConcatenation(current, next)) {
-                    result += '.';
+                    result.push({ type: 'operator', value: '.', position: next.position, implicit: true });
                 }
             }
         }
@@ -73,19 +536,25 @@ class ShuntingYard {
 
     /**
      * Determina si se necesita insertar un operador de concatenación
-     * entre dos caracteres consecutivos
-     * @param {string} current - Caracter actual
-     * @param {string} next - Siguiente caracter
+     * entre dos tokens consecutivos
+     * @param {Object} current - Token actual
+     * @param {Object} next - Siguiente token
      * @returns {boolean} True si se necesita concatenación
      */
     needsConcatenation(current, next) {
-        // No concatenar si el actual es un operador binario o parentesis de apertura
-        if (this.binaryOperators.has(current) || current === '(') {
+        // No concatenar si el actual es un operador binario o prefijo, o parentesis de apertura
+        if ((current.type === 'operator' && (this.binaryOperators.has(current.value) || this.isPrefixOperator(current))) ||
+            current.type === 'lparen') {
             return false;
         }
         
+        // Un operador prefijo (~) inicia un nuevo operando: a~b = a.(~b)
+        if (this.isPrefixOperator(next)) {
+            return true;
+        }
+
         // No concatenar si el siguiente es un operador o parentesis de cierre
-        if (this.isOperator(next) || next === ')') {
+        if (next.type === 'operator' || next.type === 'rparen') {
             return false;
         }
         
@@ -95,36 +564,42 @@ class ShuntingYard {
 
     /**
      * Aplica el algoritmo Shunting Yard
-     * @param {string} expression - Expresión con concatenaciones explicitas
-     * @returns {string} Expresion en notacion postfija
+     * @param {Array<Object>} expression - Tokens con concatenaciones explicitas
+     * @returns {Array<Object>} Tokens en notacion postfija
      */
     shuntingYard(expression) {
         const output = [];
         const operatorStack = [];
+        const top = () => operatorStack[operatorStack.length - 1];
         
-        for (let i = 0; i < expression.length; i++) {
-            const token = expression[i];
-            
+        for (const token of expression) {
             if (this.isOperand(token)) {
                 // Si es un operando, añadirlo a la salida
                 output.push(token);
             }
+            else if (this.isOperator(token) && this.unaryOperators.has(this.operatorKey(token))) {
+                // Los operadores unarios postfijos ya tienen su operando en la salida
+                output.push(token);
+            }
+            else if (this.isPrefixOperator(token)) {
+                // Los prefijos esperan a su operando: se desapilan con el siguiente binario de menor precedencia
+                operatorStack.push(token);
+            }
             else if (this.isOperator(token)) {
                 // Mientras haya operadores en la pila con mayor o igual precedencia
                 while (operatorStack.length > 0 && 
-                       this.isOperator(operatorStack[operatorStack.length - 1]) &&
-                       this.hasHigherOrEqualPrecedence(operatorStack[operatorStack.length - 1], token)) {
+                       this.isOperator(top()) &&
+                       this.hasHigherOrEqualPrecedence(this.operatorKey(top()), this.operatorKey(token))) {
                     output.push(operatorStack.pop());
                 }
                 operatorStack.push(token);
             }
-            else if (token === '(') {
+            else if (token.type === 'lparen') {
                 operatorStack.push(token);
             }
-            else if (token === ')') {
+            else if (token.type === 'rparen') {
                 // Desapilar hasta encontrar el parentesis de apertura
-                while (operatorStack.length > 0 && 
-                       operatorStack[operatorStack.length - 1] !== '(') {
+                while (operatorStack.length > 0 && top().type !== 'lparen') {
                     output.push(operatorStack.pop());
                 }
                 
@@ -136,38 +611,53 @@ class ShuntingYard {
                 operatorStack.pop();
             }
             else {
-                throw new Error(`Caracter no reconocido: ${token}`);
+                throw new Error(`Token no reconocido: ${token.value}`);
             }
         }
         
         // Desapilar operadores restantes
         while (operatorStack.length > 0) {
             const op = operatorStack.pop();
-            if (op === '(' || op === ')') {
+            if (op.type === 'lparen' || op.type === 'rparen') {
                 throw new Error('Parentesis desbalanceados');
             }
             output.push(op);
         }
         
-        return output.join('');
+        return output;
     }
 
     /**
-     * Verifica si un caracter es un operando
-     * @param {string} char - Caracter a verificar
+     * Verifica si un token (o caracter) es un operando
+     * @param {Object|string} token - Token o caracter a verificar
      * @returns {boolean} True si es operando
      */
-    isOperand(char) {
-        return !this.isOperator(char) && char !== '(' && char !== ')';
+    isOperand(token) {
+        if (typeof token === 'object') {
+            return token.type === 'symbol' || token.type === 'epsilon' || token.type === 'empty';
+        }
+        return !this.isOperator(token) && token !== '(' && token !== ')';
     }
 
     /**
-     * Verifica si un caracter es un operador
-     * @param {string} char - Caracter a verificar
+     * Verifica si un token (o caracter) es un operador
+     * @param {Object|string} token - Token o caracter a verificar
      * @returns {boolean} True si es operador
      */
-    isOperator(char) {
-        return this.precedence.hasOwnProperty(char);
+    isOperator(token) {
+        if (typeof token === 'object') {
+            return token.type === 'operator';
+        }
+        return this.precedence.hasOwnProperty(token);
+    }
+
+    /**
+     * Verifica si un token es un operador unario prefijo (~)
+     * @param {Object} token - Token a verificar
+     * @returns {boolean} True si es prefijo
+     */
+    isPrefixOperator(token) {
+        return token.type === 'operator' && this.prefixOperators.has(token.value);
     }
 
     /**
@@ -194,80 +684,59 @@ class ShuntingYard {
     /**
      * Valida que una expresion regular sea sintacticamente correcta
      * @param {string} regex - Expresion regular a validar
-     * @returns {Object} Resultado de la validacion
+     * @param {Object} options - { alphabet, definitions } alfabeto declarado y definiciones con nombre
+     * @returns {Object} Resultado de la validacion con diagnosticos (codigo, rango y extracto)
      */
-    validate(regex) {
-        const errors = [];
-        
-        // Verificar parentesis balanceados
-        let parenthesesCount = 0;
-        for (let char of regex) {
-            if (char === '(') {
-                parenthesesCount++;
-            } else if (char === ')') {
-                parenthesesCount--;
-                if (parenthesesCount < 0) {
-                    errors.push('Parentesis de cierre sin apertura correspondiente');
-                    break;
-                }
-            }
-        }
-        
-        if (parenthesesCount > 0) {
-            errors.push('Parentesis de apertura sin cierre correspondiente');
-        }
-        
-        // Verificar que no haya operadores binarios consecutivos
-        for (let i = 0; i < regex.length - 1; i++) {
-            const current = regex[i];
-            const next = regex[i + 1];
-            
-            if (this.binaryOperators.has(current) && this.binaryOperators.has(next)) {
-                errors.push(`Operadores binarios consecutivos: ${current}${next}`);
-            }
-        }
-        
-        // Verificar que no empiece con operador binario
-        if (regex.length > 0 && this.binaryOperators.has(regex[0])) {
-            errors.push('La expresion no puede empezar con un operador binario');
-        }
-        
-        // Verificar que no termine con operador binario
-        if (regex.length > 0 && this.binaryOperators.has(regex[regex.length - 1])) {
-            errors.push('La expresion no puede terminar con un operador binario');
-        }
-        
+    validate(regex, options = {}) {
+        const { isValid, diagnostics } = new RegexDiagnostics(this).analyze(regex, options);
         return {
-            isValid: errors.length === 0,
-            errors: errors
+            isValid: isValid,
+            errors: diagnostics.map(diagnostic => diagnostic.message),
+            diagnostics: diagnostics
         };
     }
 
+    /**
+     * Sustituye las definiciones con nombre en la expresion
+     * @param {string} regex - Expresion regular
+     * @param {Object} options - { definitions } bloque 'nombre = expresion; ...' u objeto { nombre: expresion }
+     * @returns {string} Expresion expandida (la misma si no hay definiciones)
+     */
+    expandDefinitions(regex, options = {}) {
+        if (!options.definitions) return regex;
+        return new RegexDefinitions(this).expand(regex, options.definitions).expression;
+    }
+
     /**
      * Funcion principal que convierte y valida
      * @param {string} regex - Expresion regular
+     * @param {Object} options - { alphabet, definitions } alfabeto declarado y definiciones con nombre
      * @returns {Object} Resultado de la conversion
      */
-    convert(regex) {
+    convert(regex, options = {}) {
         try {
             // Validar la expresion
-            const validation = this.validate(regex);
+            const validation = this.validate(regex, options);
             if (!validation.isValid) {
                 return {
                     success: false,
                     errors: validation.errors,
+                    diagnostics: validation.diagnostics,
                     postfix: null
                 };
             }
             
             // Convertir a postfijo
-            const postfix = this.infixToPostfix(regex);
+            const expression = this.expandDefinitions(regex, options);
+            const postfixTokens = this.infixToPostfix(expression, options);
             
             return {
                 success: true,
                 original: regex,
-                postfix: postfix,
-                steps: this.getConversionSteps(regex)
+                postfix: this.tokensToString(postfixTokens),
+                postfixTokens: postfixTokens,
+                alphabet: expression ? this.resolveAlphabet(this.tokenize(expression), options.alphabet) : [],
+                steps: this.getConversionSteps(regex, options)
             };
         } catch (error) {
             return {
@@ -281,9 +750,10 @@ class ShuntingYard {
     /**
      * Genera los pasos de conversion para propositos educativos
      * @param {string} regex - Expresion regular original
+     * @param {Object} options - { alphabet, definitions } alfabeto declarado y definiciones con nombre
      * @returns {Array} Pasos de la conversion
      */
-    getConversionSteps(regex) {
+    getConversionSteps(regex, options = {}) {
         const steps = [];
         
         // Paso 1: Expresion original
@@ -292,23 +762,58 @@ class ShuntingYard {
             description: 'Expresion regular original',
             expression: regex
         });
+
+        // Paso 1.1: Sustitucion de definiciones con nombre
+        if (options.definitions) {
+            const expanded = this.expandDefinitions(regex, options);
+            if (expanded !== regex) {
+                steps.push({
+                    step: steps.length + 1,
+                    description: 'Sustitucion de definiciones',
+                    expression: expanded
+                });
+            }
+            regex = expanded;
+        }
         
-        // Paso 2: Preprocesamiento
-        const preprocessed = this.preprocess(regex);
-        if (preprocessed !== regex) {
+        // Paso 2: Expansion de clases de caracteres
+        const rawTokens = regex ? this.tokenize(regex) : [];
+        if (rawTokens.some(token => token.type === 'class')) {
+            const alphabet = this.resolveAlphabet(rawTokens, options.alphabet);
             steps.push({
-                step: 2,
+                step: steps.length + 1,
+                description: `Expansion de clases de caracteres (alfabeto {${alphabet.join(', ')}})`,
+                expression: this.tokensToString(this.expandCharacterClasses(rawTokens, alphabet))
+            });
+        }
+
+        // Paso 3: Expansion de repeticiones acotadas (forma equivalente)
+        if (rawTokens.some(token => token.min !== undefined)) {
+            const alphabet = this.resolveAlphabet(rawTokens, options.alphabet);
+            const expanded = this.expandRepetitions(this.expandCharacterClasses(rawTokens, alphabet));
+            steps.push({
+                step: steps.length + 1,
+                description: 'Expansion de repeticiones acotadas {n,m}',
+                expression: this.tokensToString(expanded)
+            });
+        }
+
+        // Paso 4: Preprocesamiento
+        const preprocessed = this.preprocess(regex, options);
+        if (preprocessed.some(token => token.implicit)) {
+            steps.push({
+                step: steps.length + 1,
                 description: 'Insercion de concatenaciones explicitas (.)',
-                expression: preprocessed
+                expression: this.tokensToString(preprocessed)
             });
         }
         
-        // Paso 3: Resultado final
+        // Paso 5: Resultado final
         const postfix = this.shuntingYard(preprocessed);
         steps.push({
             step: steps.length + 1,
             description: 'Conversion a notacion postfija',
-            expression: postfix
+            expression: this.tokensToString(postfix)
         });
         
         return steps;
@@ -330,6 +835,10 @@ class ShuntingYard {
                 result.steps.forEach(step => {
                     console.log(`  ${step.step}. ${step.description}: ${step.expression}`);
                 });
+            } else if (result.diagnostics) {
+                const diagnostics = new RegexDiagnostics(this);
+                console.log('✗ Errores:');
+                result.diagnostics.forEach(diagnostic => console.log(diagnostics.format(diagnostic, '  ')));
             } else {
                 console.log(`✗ Errores: ${result.errors.join(', ')}`);
             }
@@ -340,17 +849,3 @@ class ShuntingYard {
 
 export default ShuntingYard;
 
-// Ejemplo de uso:
-
-const shuntingYard = new ShuntingYard();
-
-// Casos de prueba del proyecto
-const testCases = [
-    '(b|b)*abb(a|b)*',
-    'a*b+',
-    '(a|b)*abb',
-    'a+b*c',
-    '((a|b)*c)*'
-];
-
-shuntingYard.runTests(testCases);
@@ -1,5 +1,6 @@
 // SubsetConstruction.js
 import Automaton from '../models/Automaton.js';
+import IndexedNFA, { SubsetTable } from './indexedNFA.js';
 
 class SubsetConstruction {
   constructor() {
@@ -39,6 +40,17 @@ class SubsetConstruction {
     return dfaState;
   }
 
+  // Con options.complete: el sumidero es el subconjunto vacío de estados del NFA
+  addSinkState(dfa) {
+    dfa.complete();
+    if (!dfa.sinkState) return null;
+    const empty = new Set();
+    this.stateSetToId.set(this.stateSetToString(empty), dfa.sinkState.id);
+    this.idToStateSet.set(dfa.sinkState.id, empty);
+    this.stampOriginOnDFAState(dfa.sinkState, empty);
+    return dfa.sinkState;
+  }
+
   // move(S, a)
   move(states, symbol) {
     const result = new Set();
@@ -49,9 +61,109 @@ class SubsetConstruction {
     return result;
   }
 
+  // ---------- Límites y progreso ----------
+
+  /**
+   * Crea el control de límites de una construcción.
+   * options.maxStates: máximo de estados del AFD; options.maxTime: milisegundos;
+   * options.onProgress({ discovered, pending, processed, elapsedMs }): se llama tras
+   * procesar cada subconjunto; si devuelve false la construcción se cancela.
+   * Al superar un límite (o cancelar) se lanza un Error con code
+   * (STATE_LIMIT_EXCEEDED, TIME_LIMIT_EXCEEDED o CONSTRUCTION_CANCELLED) y progress.
+   */
+  createGuard(options = {}) {
+    const { maxStates = Infinity, maxTime = Infinity, onProgress = null } = options;
+    const startTime = Date.now();
+
+    const fail = (code, message, progress) => {
+      const error = new Error(`${message} (${progress.discovered} estados del AFD, ` +
+        `${progress.pending} subconjuntos pendientes, ${progress.elapsedMs} ms)`);
+      error.code = code;
+      error.progress = progress;
+      return error;
+    };
+
+    return (dfa, pending, processed) => {
+      const progress = { discovered: dfa.states.size, pending, processed, elapsedMs: Date.now() - startTime };
+      if (progress.discovered > maxStates) {
+        throw fail('STATE_LIMIT_EXCEEDED', `Se supero el limite de ${maxStates} estados del AFD`, progress);
+      }
+      if (progress.elapsedMs > maxTime) {
+        throw fail('TIME_LIMIT_EXCEEDED', `Se supero el limite de ${maxTime} ms`, progress);
+      }
+      if (onProgress && onProgress(progress) === false) {
+        throw fail('CONSTRUCTION_CANCELLED', 'Construccion cancelada', progress);
+      }
+    };
+  }
+
   // ---------- Conversión NFA -> DFA ----------
-  convertToDFA(nfa) {
+
+  /**
+   * Conversión con el AFN indexado (IndexedNFA): los subconjuntos son bitsets
+   * con clave hash y las clausuras epsilon por estado se calculan una sola vez.
+   * Produce el mismo AFD (mismos IDs y orden) que convertToDFAWithSets.
+   * Con options.complete el AFD es completo: las transiciones faltantes van a un sumidero.
+   */
+  convertToDFA(nfa, options = {}) {
+    if (nfa.type !== 'NFA') throw new Error('El automata de entrada debe ser un AFN');
+    const checkLimits = this.createGuard(options);
+
+    this.stateSetToId.clear();
+    this.idToStateSet.clear();
+
+    const dfa = new Automaton('DFA');
+    const acceptingNFAIds = new Set(Array.from(nfa.acceptStates).map(s => s.id));
+    const indexed = new IndexedNFA(nfa);
+    const alphabet = indexed.alphabet;
+    alphabet.forEach(a => dfa.alphabet.add(a));
+
+    const table = new SubsetTable(indexed);
+    const pending = [];
+
+    const getOrCreate = bits => {
+      const existing = table.get(bits);
+      if (existing) return existing;
+
+      const stateSet = indexed.toStateSet(bits);
+      const dfaState = dfa.createState(indexed.isAccepting(bits));
+      this.stateSetToId.set(this.stateSetToString(stateSet), dfaState.id);
+      this.idToStateSet.set(dfaState.id, stateSet);
+      this.stampOriginOnDFAState(dfaState, stateSet);
+      table.set(bits, dfaState);
+      pending.push(bits);
+      return dfaState;
+    };
+
+    dfa.setStartState(getOrCreate(indexed.closureOf(nfa.startState)));
+    let processed = 0;
+
+    // Cola con indice de cabeza: shift() seria O(n) por estado
+    for (let head = 0; head < pending.length; head++) {
+      const bits = pending[head];
+      const fromState = table.get(bits);
+
+      for (let i = 0; i < alphabet.length; i++) {
+        const next = indexed.step(bits, i);
+        if (next) dfa.addTransition(fromState, alphabet[i], getOrCreate(next));
+      }
+
+      processed = head + 1;
+      checkLimits(dfa, pending.length - processed, processed);
+    }
+
+    if (options.complete) this.addSinkState(dfa);
+    dfa._acceptingNFAIds = acceptingNFAIds;
+    return dfa;
+  }
+
+  /**
+   * Conversión original con Set de estados y claves de texto ordenadas.
+   * Se conserva como referencia (benchmark y verificación de convertToDFA).
+   */
+  convertToDFAWithSets(nfa, options = {}) {
     if (nfa.type !== 'NFA') throw new Error('El automata de entrada debe ser un AFN');
+    const checkLimits = this.createGuard(options);
 
     // reset mapeos
     this.stateSetToId.clear();
@@ -64,6 +176,8 @@ class SubsetConstruction {
 
     // Tu Automaton ya NO mete 'ε' al alfabeto; no hace falta filtrarlo
     const alphabet = nfa.getAlphabet();
+    // Conservar el alfabeto declarado aunque algun simbolo no tenga transiciones
+    alphabet.forEach(a => dfa.alphabet.add(a));
 
     // Estado inicial = ε-closure({q0})
     const initialClosure = nfa.epsilonClosure(new Set([nfa.startState]));
@@ -73,6 +187,7 @@ class SubsetConstruction {
     // BFS de conjuntos
     const pending = [initialClosure];
     const seen = new Set([this.stateSetToString(initialClosure)]);
+    let processed = 0;
 
     while (pending.length) {
       const currentSet = pending.shift();
@@ -94,8 +209,12 @@ class SubsetConstruction {
           pending.push(newSet);
         }
       }
+
+      checkLimits(dfa, pending.length, ++processed);
     }
 
+    if (options.complete) this.addSinkState(dfa);
+
     // Guarda los finales del NFA en el DFA para auditorías/optimizaciones
     dfa._acceptingNFAIds = acceptingNFAIds;
 
@@ -103,16 +222,18 @@ class SubsetConstruction {
   }
 
   // ---------- Conversión con pasos ----------
-  convertWithSteps(nfa) {
+  convertWithSteps(nfa, options = {}) {
+    const steps = [];
     try {
       this.stateSetToId.clear();
       this.idToStateSet.clear();
+      const checkLimits = this.createGuard(options);
 
       const dfa = new Automaton('DFA');
-      const steps = [];
 
       const acceptingNFAIds = new Set(Array.from(nfa.acceptStates).map(s => s.id));
       const alphabet = nfa.getAlphabet();
+      alphabet.forEach(a => dfa.alphabet.add(a));
 
       const initialClosure = nfa.epsilonClosure(new Set([nfa.startState]));
       const q0DFA = this.getOrCreateDFAState(dfa, initialClosure, acceptingNFAIds);
@@ -129,6 +250,7 @@ class SubsetConstruction {
       let k = 2;
       const pending = [initialClosure];
       const seen = new Set([this.stateSetToString(initialClosure)]);
+      let processed = 0;
 
       while (pending.length) {
         const currentSet = pending.shift();
@@ -170,6 +292,21 @@ class SubsetConstruction {
             pending.push(newSet);
           }
         }
+
+        checkLimits(dfa, pending.length, ++processed);
+      }
+
+      if (options.complete) {
+        const sink = this.addSinkState(dfa);
+        if (sink) {
+          steps.push({
+            step: k++,
+            action: 'Estado sumidero {} para las transiciones faltantes',
+            currentSet: '{}',
+            isAccepting: false,
+            dfaStateId: sink.id
+          });
+        }
       }
 
       dfa._acceptingNFAIds = acceptingNFAIds;
@@ -184,7 +321,8 @@ class SubsetConstruction {
       };
 
     } catch (error) {
-      return { success: false, error: error.message, dfa: null };
+      // Con un límite superado se devuelven los pasos hechos y el progreso alcanzado
+      return { success: false, error: error.message, code: error.code, progress: error.progress, steps, dfa: null };
     }
   }
 
@@ -246,6 +384,7 @@ class SubsetConstruction {
     }
 
     const opt = new Automaton('DFA');
+    dfa.alphabet.forEach(a => opt.alphabet.add(a));
     const mapOldToNew = new Map();
     const accNFA = dfa._acceptingNFAIds instanceof Set ? dfa._acceptingNFAIds : new Set();
 
@@ -0,0 +1,204 @@
+import HopcroftMinimization from './hopcroft.js';
+import SymbolTokenizer from '../utils/symbolTokenizer.js';
+
+/**
+ * Minimizacion por llenado de tabla (Myhill-Nerode): se marcan los pares de
+ * estados distinguibles por rondas. En la ronda 0 se marcan los pares final /
+ * no final (distinguidos por ε); en la ronda k, un par (p, q) se marca si con
+ * algun simbolo a va a un par marcado en la ronda k-1, y su cadena testigo es
+ * a seguida de la del par destino. Asi cada testigo es una cadena minima que
+ * acepta exactamente uno de los dos estados. Los pares sin marcar son equivalentes.
+ * Los testigos se guardan como arreglos de simbolos y solo se pasan a texto al
+ * mostrarlos (los simbolos de varios caracteres entre comillas, como 'if').
+ *
+ * Como MooreMinimization, reutiliza todo HopcroftMinimization salvo el
+ * refinamiento (incluido el sumidero implicito ∅ de los AFD parciales).
+ */
+class TableFillingMinimization extends HopcroftMinimization {
+    constructor() {
+        super();
+        this.tableStates = []; // Estados de la tabla, por id (el sumidero al final)
+        this.tableSink = null; // Sumidero implicito de la tabla (this.sink se borra al terminar)
+        this.pairs = new Map(); // 'i,j' (i < j, indices en tableStates) -> { round, witness: Array<string> }
+    }
+
+    initializePartitions(dfa) {
+        super.initializePartitions(dfa);
+        this.tableStates = [];
+        this.tableSink = this.sink;
+        this.pairs = new Map();
+    }
+
+    /**
+     * Llena la tabla y agrupa los estados no distinguibles
+     * @param {Automaton} dfa - AFD a minimizar
+     */
+    refinePartitions(dfa) {
+        this.refinePartitionsWithSteps(dfa);
+    }
+
+    /**
+     * Llena la tabla por rondas; cada ronda con pares nuevos es un paso
+     * @param {Automaton} dfa - AFD a minimizar
+     * @returns {Array} Pasos del refinamiento
+     */
+    refinePartitionsWithSteps(dfa) {
+        const steps = [];
+        const states = Array.from(dfa.states.values()).sort((a, b) => a.id - b.id);
+        this.tableStates = this.sink ? [...states, this.sink] : states;
+        const indexOf = new Map(this.tableStates.map((state, index) => [state, index]));
+
+        const pushRound = (round, marked) => {
+            steps.push({
+                step: steps.length + 3,
+                action: round === 0
+                    ? 'Ronda 0: se marcan los pares de estado final y no final (testigo ε)'
+                    : `Ronda ${round}: pares que van a un par marcado en la ronda ${round - 1}`,
+                round: round,
+                markedPairs: marked.map(key => ({
+                    pair: this.pairToString(key),
+                    witness: this.witnessToString(this.pairs.get(key).witness) || 'ε'
+                })),
+                totalMarked: this.pairs.size
+            });
+        };
+
+        // Ronda 0
+        const initial = [];
+        this.forEachPair((i, j, key) => {
+            if (this.tableStates[i].isAccepting !== this.tableStates[j].isAccepting) {
+                this.pairs.set(key, { round: 0, witness: [] });
+                initial.push(key);
+            }
+        });
+        pushRound(0, initial);
+
+        // Rondas k >= 1: solo cuentan los pares marcados en rondas anteriores
+        for (let round = 1; ; round++) {
+            const marked = [];
+            this.forEachPair((i, j, key) => {
+                if (this.pairs.has(key)) return;
+                for (const symbol of this.symbols) {
+                    const target = this.pairKey(
+                        indexOf.get(this.target(this.tableStates[i], symbol)),
+                        indexOf.get(this.target(this.tableStates[j], symbol)));
+                    const entry = this.pairs.get(target);
+                    if (entry && entry.round < round) {
+                        marked.push([key, { round, witness: [symbol, ...entry.witness] }]);
+                        break;
+                    }
+                }
+            });
+            if (marked.length === 0) break;
+            marked.forEach(([key, entry]) => this.pairs.set(key, entry));
+            pushRound(round, marked.map(([key]) => key));
+        }
+
+        this.buildPartitions();
+        return steps;
+    }
+
+    /**
+     * Particiones a partir de los pares no marcados (clases de equivalencia)
+     */
+    buildPartitions() {
+        this.partitions = [];
+        this.stateToPartition.clear();
+        this.tableStates.forEach((state, i) => {
+            if (this.stateToPartition.has(state)) return;
+            const index = this.partitions.length;
+            const partition = new Set([state]);
+            for (let j = i + 1; j < this.tableStates.length; j++) {
+                if (!this.pairs.has(this.pairKey(i, j))) partition.add(this.tableStates[j]);
+            }
+            partition.forEach(member => this.stateToPartition.set(member, index));
+            this.partitions.push(partition);
+        });
+    }
+
+    forEachPair(callback) {
+        for (let j = 1; j < this.tableStates.length; j++) {
+            for (let i = 0; i < j; i++) callback(i, j, `${i},${j}`);
+        }
+    }
+
+    pairKey(i, j) {
+        return i < j ? `${i},${j}` : `${j},${i}`;
+    }
+
+    pairToString(key) {
+        const [i, j] = key.split(',').map(Number);
+        return `{${this.stateLabel(this.tableStates[i])},${this.stateLabel(this.tableStates[j])}}`;
+    }
+
+    /**
+     * @param {Array<string>} witness - Testigo como arreglo de simbolos
+     * @returns {string} Testigo como texto ('' para ε)
+     */
+    witnessToString(witness) {
+        return witness.map(SymbolTokenizer.format).join('');
+    }
+
+    stateLabel(state) {
+        return state === this.tableSink ? '∅' : state.id;
+    }
+
+    /**
+     * Cadena minima que distingue dos estados (por id; '∅' es el sumidero implicito)
+     * @param {number|string} id1 - Primer estado
+     * @param {number|string} id2 - Segundo estado
+     * @returns {string|null} Testigo ('' para ε) o null si son equivalentes
+     */
+    distinguish(id1, id2) {
+        const indexOf = label => this.tableStates.findIndex(state => this.stateLabel(state) === label);
+        const i = indexOf(id1);
+        const j = indexOf(id2);
+        if (i < 0 || j < 0) throw new Error(`Estado desconocido en la tabla: ${i < 0 ? id1 : id2}`);
+        if (i === j) return null;
+        const entry = this.pairs.get(this.pairKey(i, j));
+        return entry ? this.witnessToString(entry.witness) : null;
+    }
+
+    /**
+     * Tabla triangular completa para renderizar: la fila de cada estado
+     * (salvo el primero) tiene una celda por cada estado anterior
+     * @returns {Object} { states, rows: [{ state, cells: [{ state, marked, round, witness, symbols }] }] }
+     *   witness es el testigo como texto y symbols el mismo testigo como arreglo de simbolos
+     */
+    getTable() {
+        const labels = this.tableStates.map(state => this.stateLabel(state));
+        const rows = labels.slice(1).map((label, row) => ({
+            state: label,
+            cells: labels.slice(0, row + 1).map((column, i) => {
+                const entry = this.pairs.get(this.pairKey(i, row + 1));
+                return {
+                    state: column,
+                    marked: Boolean(entry),
+                    round: entry ? entry.round : null,
+                    witness: entry ? this.witnessToString(entry.witness) : null,
+                    symbols: entry ? [...entry.witness] : null
+                };
+            })
+        }));
+        return { states: labels, rows };
+    }
+
+    /**
+     * Tabla triangular como texto: cada celda marcada muestra ronda:testigo,
+     * las de pares equivalentes muestran '='
+     * @returns {Array<string>} Lineas de la tabla
+     */
+    tableToLines() {
+        const { states, rows } = this.getTable();
+        const cellText = cell => cell.marked ? `${cell.round}:${cell.witness || 'ε'}` : '=';
+        const width = Math.max(3, ...rows.flatMap(row => row.cells.map(cell => cellText(cell).length)),
+            ...states.map(label => String(label).length));
+        const pad = text => String(text).padEnd(width);
+
+        const lines = rows.map(row => [pad(row.state), ...row.cells.map(cell => pad(cellText(cell)))].join(' ').trimEnd());
+        lines.push([pad(''), ...states.slice(0, -1).map(pad)].join(' ').trimEnd());
+        return lines;
+    }
+}
+
+export default TableFillingMinimization;
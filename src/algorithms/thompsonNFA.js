@@ -1,21 +1,41 @@
 import Automaton from '../models/Automaton.js';
 import State from '../models/State.js';
 import ShuntingYard from './shuntingYard.js';
+import RegexParser from './regexParser.js';
+import BooleanOperations from './booleanOperations.js';
+import GlushkovNFA from './glushkovNFA.js';
 
 /**
  * Implementacion del algoritmo de Thompson para construir
  * un AFN a partir de una expresion regular en notacion postfija
+ * o de su arbol sintactico (RegexParser).
+ * La interseccion (&) y el complemento (~) no tienen fragmento de Thompson:
+ * se resuelven como AFD (BooleanOperations) y el resultado se inserta como fragmento.
  */
 class ThompsonNFA {
     constructor() {
         this.epsilonSymbol = 'ε';
+        this.nextStateId = 0; // Contador compartido por todos los fragmentos
+        this.alphabet = []; // Alfabeto de la expresion completa (dominio del complemento)
+        this.booleanOperations = new BooleanOperations();
     }
 
+    /**
+     * Construye el AFN a partir de la expresion postfija
+     * @param {string|Array<Object>} postfixRegex - Postfija en texto (con escapes) o tokens de ShuntingYard
+     * @returns {Automaton} AFN resultante
+     */
     buildNFA(postfixRegex) {
+        const tokens = this.toTokens(postfixRegex);
         const stack = [];
-        for (let i = 0; i < postfixRegex.length; i++) {
-            const symbol = postfixRegex[i];
-            if (this.isOperator(symbol)) {
+        this.nextStateId = 0;
+        this.alphabet = new ShuntingYard().resolveAlphabet(tokens);
+        for (const token of tokens) {
+            const symbol = token.value;
+            if (token.type === 'operator' && token.min !== undefined) {
+                if (stack.length < 1) throw new Error(`Error: operador ${symbol} requiere un operando`);
+                stack.push(this.repeat(stack.pop(), token.min, token.max));
+            } else if (token.type === 'operator') {
                 switch (symbol) {
                     case '*':
                         if (stack.length < 1) throw new Error('Error: operador * requiere un operando');
@@ -29,6 +49,10 @@ class ThompsonNFA {
                         if (stack.length < 1) throw new Error('Error: operador ? requiere un operando');
                         stack.push(this.optional(stack.pop()));
                         break;
+                    case '~':
+                        if (stack.length < 1) throw new Error('Error: operador ~ requiere un operando');
+                        stack.push(this.complement(stack.pop()));
+                        break;
                     case '|':
                         if (stack.length < 2) throw new Error('Error: operador | requiere dos operandos');
                         {
@@ -37,6 +61,14 @@ class ThompsonNFA {
                             stack.push(this.alternation(left, right));
                         }
                         break;
+                    case '&':
+                        if (stack.length < 2) throw new Error('Error: operador & requiere dos operandos');
+                        {
+                            const right = stack.pop();
+                            const left = stack.pop();
+                            stack.push(this.intersection(left, right));
+                        }
+                        break;
                     case '.':
                         if (stack.length < 2) throw new Error('Error: operador . requiere dos operandos');
                         {
@@ -48,24 +80,111 @@ class ThompsonNFA {
                     default:
                         throw new Error(`Operador desconocido: ${symbol}`);
                 }
+            } else if (token.type === 'epsilon') {
+                stack.push(this.basicSymbol(this.epsilonSymbol));
+            } else if (token.type === 'empty') {
+                stack.push(this.emptyLanguage());
             } else {
                 stack.push(this.basicSymbol(symbol));
             }
         }
         if (stack.length !== 1) throw new Error('Error en la expresion: la pila debe contener exactamente un AFN');
+        stack[0].stateCounter = this.nextStateId;
         return stack[0];
     }
 
+    /**
+     * Construye el AFN recorriendo el AST de RegexParser
+     * @param {Object} ast - Nodo raiz del AST
+     * @param {Array<string>} alphabet - Alfabeto para el complemento (por defecto, los simbolos del AST)
+     * @returns {Automaton} AFN resultante
+     */
+    buildFromAST(ast, alphabet = new RegexParser().collectSymbols(ast)) {
+        this.nextStateId = 0;
+        this.alphabet = Array.from(alphabet);
+        const nfa = this.buildNode(ast);
+        nfa.stateCounter = this.nextStateId;
+        return nfa;
+    }
+
+    /**
+     * Construye el fragmento de Thompson de un nodo del AST
+     * @param {Object} node - Nodo del AST
+     * @returns {Automaton} Fragmento del nodo
+     */
+    buildNode(node) {
+        switch (node.type) {
+            case 'Symbol':
+                return this.basicSymbol(node.value);
+            case 'Epsilon':
+                return this.basicSymbol(this.epsilonSymbol);
+            case 'Empty':
+                return this.emptyLanguage();
+            case 'Concat':
+                return this.concatenation(this.buildNode(node.left), this.buildNode(node.right));
+            case 'Union':
+                return this.alternation(this.buildNode(node.left), this.buildNode(node.right));
+            case 'Intersection':
+                return this.intersection(this.buildNode(node.left), this.buildNode(node.right));
+            case 'Complement':
+                return this.complement(this.buildNode(node.expr));
+            case 'Star':
+                return this.kleeneStar(this.buildNode(node.expr));
+            case 'Plus':
+                return this.oneOrMore(this.buildNode(node.expr));
+            case 'Optional':
+                return this.optional(this.buildNode(node.expr));
+            case 'Repeat':
+                return this.repeat(this.buildNode(node.expr), node.min, node.max);
+            default:
+                throw new Error(`Tipo de nodo desconocido: ${node.type}`);
+        }
+    }
+
+    /**
+     * Normaliza la entrada de buildNFA a una lista de tokens
+     * @param {string|Array<Object>} postfix - Postfija en texto o tokens
+     * @returns {Array<Object>} Tokens
+     */
+    toTokens(postfix) {
+        if (Array.isArray(postfix)) return postfix;
+        return new ShuntingYard().tokenize(postfix);
+    }
+
+    /**
+     * Crea un estado con un ID unico dentro de toda la construccion,
+     * para que los fragmentos combinados no repitan IDs
+     * @param {Automaton} nfa - Fragmento al que pertenece el estado
+     * @param {boolean} isAccepting - Si el estado es de aceptacion
+     * @returns {State} Nuevo estado
+     */
+    createState(nfa, isAccepting = false) {
+        const state = new State(this.nextStateId++, isAccepting);
+        nfa.addState(state);
+        return state;
+    }
+
     basicSymbol(symbol) {
         const nfa = new Automaton('NFA');
-        const startState = nfa.createState(false);
-        const acceptState = nfa.createState(true);
+        const startState = this.createState(nfa, false);
+        const acceptState = this.createState(nfa, true);
         nfa.setStartState(startState);
         if (symbol === this.epsilonSymbol) nfa.addTransition(startState, 'ε', acceptState);
         else nfa.addTransition(startState, symbol, acceptState);
         return nfa;
     }
 
+    /**
+     * Fragmento del lenguaje vacio (∅): inicio y aceptacion sin transiciones
+     * @returns {Automaton} Fragmento que no acepta ninguna cadena
+     */
+    emptyLanguage() {
+        const nfa = new Automaton('NFA');
+        nfa.setStartState(this.createState(nfa, false));
+        this.createState(nfa, true);
+        return nfa;
+    }
+
     concatenation(nfa1, nfa2) {
         const result = new Automaton('NFA');
         this.copyStatesAndTransitions(nfa1, result);
@@ -82,8 +201,8 @@ class ThompsonNFA {
 
     alternation(nfa1, nfa2) {
         const result = new Automaton('NFA');
-        const newStart = result.createState(false);
-        const newAccept = result.createState(true);
+        const newStart = this.createState(result, false);
+        const newAccept = this.createState(result, true);
         result.setStartState(newStart);
         this.copyStatesAndTransitions(nfa1, result);
         this.copyStatesAndTransitions(nfa2, result);
@@ -104,8 +223,8 @@ class ThompsonNFA {
 
     kleeneStar(nfa) {
         const result = new Automaton('NFA');
-        const newStart = result.createState(false);
-        const newAccept = result.createState(true);
+        const newStart = this.createState(result, false);
+        const newAccept = this.createState(result, true);
         result.setStartState(newStart);
         this.copyStatesAndTransitions(nfa, result);
         result.addTransition(newStart, 'ε', nfa.startState);
@@ -121,7 +240,7 @@ class ThompsonNFA {
 
     oneOrMore(nfa) {
         const result = new Automaton('NFA');
-        const newAccept = result.createState(true);
+        const newAccept = this.createState(result, true);
         this.copyStatesAndTransitions(nfa, result);
         result.setStartState(nfa.startState);
         nfa.acceptStates.forEach(acceptState => {
@@ -135,8 +254,8 @@ class ThompsonNFA {
 
     optional(nfa) {
         const result = new Automaton('NFA');
-        const newStart = result.createState(false);
-        const newAccept = result.createState(true);
+        const newStart = this.createState(result, false);
+        const newAccept = this.createState(result, true);
         result.setStartState(newStart);
         this.copyStatesAndTransitions(nfa, result);
         result.addTransition(newStart, 'ε', nfa.startState);
@@ -149,6 +268,125 @@ class ThompsonNFA {
         return result;
     }
 
+    /**
+     * Interseccion de dos fragmentos mediante el AFD producto
+     * @param {Automaton} nfa1 - Primer fragmento
+     * @param {Automaton} nfa2 - Segundo fragmento
+     * @returns {Automaton} Fragmento equivalente al AFD de la interseccion
+     */
+    intersection(nfa1, nfa2) {
+        return this.embedDFA(this.booleanOperations.intersection(nfa1, nfa2, this.alphabet));
+    }
+
+    /**
+     * Complemento de un fragmento respecto al alfabeto de la expresion
+     * @param {Automaton} nfa - Fragmento a complementar
+     * @returns {Automaton} Fragmento equivalente al AFD del complemento
+     */
+    complement(nfa) {
+        return this.embedDFA(this.booleanOperations.complement(nfa, this.alphabet));
+    }
+
+    /**
+     * Copia un AFD como fragmento con IDs frescos. Se descartan los estados
+     * desde los que no se alcanza la aceptacion (el sumidero del AFD completo),
+     * asi el fragmento no arrastra transiciones inutiles al AFN
+     * @param {Automaton} dfa - AFD a insertar
+     * @returns {Automaton} Fragmento con el mismo lenguaje
+     */
+    embedDFA(dfa) {
+        const productive = new Set(dfa.acceptStates);
+        let changed = true;
+        while (changed) {
+            changed = false;
+            dfa.states.forEach(state => {
+                if (productive.has(state)) return;
+                for (const targets of state.transitions.values()) {
+                    if (Array.from(targets).some(target => productive.has(target))) {
+                        productive.add(state);
+                        changed = true;
+                        return;
+                    }
+                }
+            });
+        }
+
+        if (!productive.has(dfa.startState)) {
+            const empty = this.emptyLanguage();
+            dfa.alphabet.forEach(symbol => empty.alphabet.add(symbol));
+            return empty;
+        }
+
+        const fragment = new Automaton('NFA');
+        const stateMap = new Map();
+        productive.forEach(state => stateMap.set(state, this.createState(fragment, state.isAccepting)));
+        productive.forEach(state => {
+            state.transitions.forEach((targets, symbol) => {
+                targets.forEach(target => {
+                    if (productive.has(target)) fragment.addTransition(stateMap.get(state), symbol, stateMap.get(target));
+                });
+            });
+        });
+
+        fragment.setStartState(stateMap.get(dfa.startState));
+        dfa.alphabet.forEach(symbol => fragment.alphabet.add(symbol));
+        return fragment;
+    }
+
+    /**
+     * Repeticion acotada r{min,max} construida con copias independientes del fragmento
+     * @param {Automaton} nfa - Fragmento a repetir
+     * @param {number} min - Repeticiones minimas
+     * @param {number} max - Repeticiones maximas (Infinity para {n,})
+     * @returns {Automaton} Fragmento resultante
+     */
+    repeat(nfa, min, max) {
+        if (max === 0) return this.basicSymbol(this.epsilonSymbol);
+
+        // Todas las copias salen del fragmento original antes de combinarlo,
+        // porque concatenation/optional modifican los estados de aceptacion
+        const copiesNeeded = max === Infinity ? min + 1 : max;
+        const copies = [nfa];
+        for (let i = 1; i < copiesNeeded; i++) copies.push(this.cloneFragment(nfa));
+
+        const parts = [];
+        for (let i = 0; i < min; i++) parts.push(copies[i]);
+        if (max === Infinity) {
+            parts.push(this.kleeneStar(copies[min]));
+        } else {
+            for (let i = min; i < max; i++) parts.push(this.optional(copies[i]));
+        }
+
+        return parts.reduce((result, part) => this.concatenation(result, part));
+    }
+
+    /**
+     * Duplica un fragmento con estados nuevos (IDs frescos), sin compartir
+     * objetos State con el original
+     * @param {Automaton} nfa - Fragmento a copiar
+     * @returns {Automaton} Copia independiente
+     */
+    cloneFragment(nfa) {
+        const copy = new Automaton('NFA');
+        const stateMap = new Map();
+
+        nfa.states.forEach(state => {
+            stateMap.set(state, this.createState(copy, state.isAccepting));
+        });
+
+        nfa.states.forEach(state => {
+            const from = stateMap.get(state);
+            state.transitions.forEach((targets, symbol) => {
+                targets.forEach(target => copy.addTransition(from, symbol, stateMap.get(target)));
+            });
+            state.epsilonTransitions.forEach(target => copy.addTransition(from, 'ε', stateMap.get(target)));
+        });
+
+        copy.setStartState(stateMap.get(nfa.startState));
+        nfa.alphabet.forEach(symbol => copy.alphabet.add(symbol));
+        return copy;
+    }
+
     copyStatesAndTransitions(source, target) {
         source.states.forEach(state => {
             if (!target.states.has(state.id)) target.addState(state);
@@ -156,22 +394,51 @@ class ThompsonNFA {
         source.alphabet.forEach(symbol => { target.alphabet.add(symbol); });
     }
 
-    isOperator(char) { return ['*', '+', '?', '|', '.'].includes(char); }
+    isOperator(char) { return ['*', '+', '?', '|', '&', '.', '~'].includes(char); }
 
-    fromRegex(regex) {
+    /**
+     * Construye el AFN directamente desde una expresion infija o desde su AST
+     * @param {string|Object} regex - Expresion regular o AST de RegexParser
+     * @param {Object} options - { alphabet, definitions, construction } alfabeto declarado (se añade completo al AFN),
+     *   definiciones con nombre y construccion a usar: 'thompson' (por defecto) o 'glushkov' (AFN de posiciones sin ε)
+     * @returns {Object} Resultado con el AST, el AFN y los pasos de construccion
+     */
+    fromRegex(regex, options = {}) {
         try {
+            const construction = options.construction || 'thompson';
+            if (construction !== 'thompson' && construction !== 'glushkov') {
+                throw new Error(`Construccion desconocida: '${construction}' (use 'thompson' o 'glushkov')`);
+            }
             const shuntingYard = new ShuntingYard();
-            const conversionResult = shuntingYard.convert(regex);
-            if (!conversionResult.success) {
-                return { success: false, errors: conversionResult.errors, nfa: null };
+            const parser = new RegexParser();
+            let ast = regex;
+            let alphabet;
+
+            if (typeof regex === 'string') {
+                const validation = shuntingYard.validate(regex, options);
+                if (!validation.isValid) {
+                    return { success: false, errors: validation.errors, diagnostics: validation.diagnostics, nfa: null };
+                }
+                const expression = shuntingYard.expandDefinitions(regex, options);
+                ast = parser.parse(expression, { alphabet: options.alphabet });
+                alphabet = expression ? shuntingYard.resolveAlphabet(shuntingYard.tokenize(expression), options.alphabet) : [];
+            } else {
+                alphabet = options.alphabet ? shuntingYard.resolveAlphabet([], options.alphabet) : parser.collectSymbols(ast);
             }
-            const nfa = this.buildNFA(conversionResult.postfix);
+
+            const postfixTokens = parser.toPostfixTokens(ast);
+            const glushkov = construction === 'glushkov' ? new GlushkovNFA() : null;
+            const nfa = glushkov ? glushkov.buildFromAST(ast, alphabet) : this.buildFromAST(ast, alphabet);
+            // El alfabeto completo (declarado o inferido) define el dominio de los AFD siguientes
+            alphabet.forEach(symbol => nfa.alphabet.add(symbol));
             return {
                 success: true,
-                original: regex,
-                postfix: conversionResult.postfix,
+                original: typeof regex === 'string' ? regex : null,
+                postfix: parser.toPostfix(ast),
+                ast,
+                construction,
                 nfa,
-                steps: this.getConstructionSteps(conversionResult.postfix)
+                steps: glushkov ? glushkov.getConstructionSteps(ast) : this.getConstructionSteps(postfixTokens)
             };
         } catch (error) {
             return { success: false, errors: [error.message], nfa: null };
@@ -179,20 +446,31 @@ class ThompsonNFA {
     }
 
     getConstructionSteps(postfix) {
+        const tokens = this.toTokens(postfix);
         const steps = [];
         const stack = [];
-        steps.push({ step: 0, description: 'Inicializacion', postfix, currentSymbol: '', stackSize: 0, action: 'Comenzar construccion del AFN' });
-        for (let i = 0; i < postfix.length; i++) {
-            const symbol = postfix[i];
+        const postfixText = typeof postfix === 'string' ? postfix : new ShuntingYard().tokensToString(tokens);
+        steps.push({ step: 0, description: 'Inicializacion', postfix: postfixText, currentSymbol: '', stackSize: 0, action: 'Comenzar construccion del AFN' });
+        for (let i = 0; i < tokens.length; i++) {
+            const symbol = tokens[i].value;
             let action = '';
-            if (this.isOperator(symbol)) {
+            if (tokens[i].type === 'operator' && tokens[i].min !== undefined) {
+                action = `Aplicar repeticion acotada ${symbol} (copias del fragmento)`;
+                stack.pop();
+                stack.push(`AFN${symbol}`);
+            } else if (tokens[i].type === 'operator') {
                 switch (symbol) {
                     case '*': action = 'Aplicar estrella de Kleene'; stack.pop(); stack.push('AFN*'); break;
                     case '+': action = 'Aplicar una o mas repeticiones'; stack.pop(); stack.push('AFN+'); break;
                     case '?': action = 'Aplicar opcional'; stack.pop(); stack.push('AFN?'); break;
                     case '|': action = 'Aplicar alternacion'; stack.pop(); stack.pop(); stack.push('AFN|'); break;
+                    case '&': action = 'Aplicar interseccion (AFD producto)'; stack.pop(); stack.pop(); stack.push('AFN&'); break;
+                    case '~': action = 'Aplicar complemento (AFD completo con aceptacion invertida)'; stack.pop(); stack.push('AFN~'); break;
                     case '.': action = 'Aplicar concatenacion'; stack.pop(); stack.pop(); stack.push('AFN.'); break;
                 }
+            } else if (tokens[i].type === 'empty') {
+                action = 'Crear AFN del lenguaje vacio (∅)';
+                stack.push('AFN(∅)');
             } else {
                 action = `Crear AFN basico para '${symbol}'`;
                 stack.push(`AFN(${symbol})`);
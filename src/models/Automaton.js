@@ -1,4 +1,5 @@
 import State from './State.js';
+import SymbolTokenizer from '../utils/symbolTokenizer.js';
 
 /**
  * Clase Automaton - Representa un automata finito (AFN o AFD)
@@ -115,9 +116,148 @@ class Automaton {
         return closure;
     }
 
+    /**
+     * Verifica si el AFD tiene transicion con cada simbolo desde cada estado
+     * @param {Iterable<string>} alphabet - Simbolos adicionales al alfabeto del automata
+     * @returns {boolean}
+     */
+    isComplete(alphabet = []) {
+        const symbols = new Set([...this.alphabet, ...alphabet]);
+        return Array.from(this.states.values()).every(state =>
+            Array.from(symbols).every(symbol => state.getTransitions(symbol).size > 0));
+    }
+
+    /**
+     * Completa el AFD (modificandolo): las transiciones faltantes van a un unico
+     * estado sumidero de no aceptacion, que solo se crea si falta alguna transicion
+     * @param {Iterable<string>} alphabet - Simbolos adicionales al alfabeto del automata
+     * @returns {Automaton} El mismo automata; el sumidero queda en sinkState (null si ya era completo)
+     */
+    complete(alphabet = []) {
+        if (this.type === 'NFA') throw new Error('Solo se puede completar un AFD');
+        Array.from(alphabet).forEach(symbol => this.alphabet.add(symbol));
+        const symbols = this.getAlphabet();
+        this.sinkState = null;
+
+        const getSink = () => {
+            if (!this.sinkState) {
+                // Los IDs pueden venir de fuera de createState (Thompson, Hopcroft)
+                const maxId = Math.max(-1, ...Array.from(this.states.keys()));
+                this.stateCounter = Math.max(this.stateCounter, maxId + 1);
+                this.sinkState = this.createState(false);
+                this.sinkState.isSink = true;
+                symbols.forEach(symbol => this.addTransition(this.sinkState, symbol, this.sinkState));
+            }
+            return this.sinkState;
+        };
+
+        Array.from(this.states.values()).forEach(state => {
+            if (state === this.sinkState) return;
+            symbols.forEach(symbol => {
+                if (state.getTransitions(symbol).size === 0) this.addTransition(state, symbol, getSink());
+            });
+        });
+
+        if (!this.startState) this.setStartState(getSink());
+        return this;
+    }
+
+    /**
+     * Construye un AFN equivalente sin transiciones epsilon
+     * @returns {Automaton} Nuevo AFN sin transiciones epsilon
+     */
+    removeEpsilons() {
+        return this.removeEpsilonsWithSteps().automaton;
+    }
+
+    /**
+     * Elimina las transiciones epsilon por clausura hacia adelante:
+     * q --a--> r si algun estado de la clausura epsilon de q tiene q' --a--> r,
+     * y q acepta si su clausura contiene un estado de aceptacion. Solo se
+     * conservan los estados alcanzables (con sus IDs originales); los que
+     * solo tenian transiciones epsilon entrantes desaparecen.
+     * @returns {Object} { automaton, steps } AFN resultante y la clausura usada por cada estado
+     */
+    removeEpsilonsWithSteps() {
+        const result = new Automaton('NFA');
+        this.alphabet.forEach(symbol => result.alphabet.add(symbol));
+        result.stateCounter = this.stateCounter;
+        const steps = [];
+        if (!this.startState) return { automaton: result, steps };
+
+        const stateMap = new Map(); // estado original -> estado sin epsilon
+        const closures = new Map(); // estado original -> clausura epsilon
+        const pending = [];
+
+        const copyOf = state => {
+            if (!stateMap.has(state)) {
+                const closure = this.epsilonClosure(new Set([state]));
+                const isAccepting = Array.from(closure).some(s => s.isAccepting);
+                const newState = new State(state.id, isAccepting);
+                result.addState(newState);
+                stateMap.set(state, newState);
+                closures.set(state, closure);
+                pending.push(state);
+            }
+            return stateMap.get(state);
+        };
+
+        result.setStartState(copyOf(this.startState));
+
+        while (pending.length > 0) {
+            const state = pending.shift();
+            const from = stateMap.get(state);
+            const closure = closures.get(state);
+            const transitions = [];
+
+            closure.forEach(member => {
+                member.transitions.forEach((targets, symbol) => {
+                    targets.forEach(target => {
+                        result.addTransition(from, symbol, copyOf(target));
+                        transitions.push(`(${state.id}, ${symbol}, ${target.id})`);
+                    });
+                });
+            });
+
+            const closureIds = Array.from(closure).map(s => s.id).sort((a, b) => a - b);
+            steps.push({
+                step: steps.length + 1,
+                action: `Clausura-ε(${state.id}) = {${closureIds.join(', ')}}${from.isAccepting ? ' (acepta)' : ''}`,
+                state: state.id,
+                closure: closureIds,
+                isAccepting: from.isAccepting,
+                transitions: Array.from(new Set(transitions))
+            });
+        }
+
+        const removed = Array.from(this.states.values())
+            .filter(state => !stateMap.has(state))
+            .map(state => state.id)
+            .sort((a, b) => a - b);
+        steps.push({
+            step: steps.length + 1,
+            action: `Estados descartados (inalcanzables sin transiciones ε): {${removed.join(', ')}}`,
+            removedStates: removed,
+            originalStates: this.states.size,
+            resultStates: result.states.size
+        });
+
+        return { automaton: result, steps };
+    }
+
+    /**
+     * Divide una cadena en simbolos del alfabeto (puntos de codigo y
+     * simbolos de varios caracteres como 'if')
+     * @param {string|Array<string>} input - Cadena o simbolos ya separados
+     * @returns {Array<string>} Simbolos
+     */
+    splitInput(input) {
+        return new SymbolTokenizer(this.alphabet).split(input);
+    }
+
     /**
      * Verifica si una cadena es aceptada por el automata
-     * @param {string} input - Cadena a verificar
+     * @param {string|Array<string>} input - Cadena a verificar (o lista de simbolos)
      * @returns {Object} Resultado de la simulacion
      */
     accepts(input) {
@@ -130,22 +270,24 @@ class Automaton {
 
     /**
      * Simula un AFD
-     * @param {string} input - Cadena de entrada
+     * @param {string|Array<string>} input - Cadena de entrada
      * @returns {Object} Resultado de la simulacion
      */
     simulateDFA(input) {
         const steps = [];
+        const symbols = this.splitInput(input);
+        const remaining = i => symbols.slice(i).join('');
         let currentState = this.startState;
         
         steps.push({
             step: 0,
             currentState: currentState.id,
-            remainingInput: input,
+            remainingInput: remaining(0),
             action: 'Inicio'
         });
 
-        for (let i = 0; i < input.length; i++) {
-            const symbol = input[i];
+        for (let i = 0; i < symbols.length; i++) {
+            const symbol = symbols[i];
             const nextStates = currentState.getTransitions(symbol);
             
             if (nextStates.size === 0) {
@@ -153,7 +295,7 @@ class Automaton {
                     step: i + 1,
                     currentState: currentState.id,
                     symbol: symbol,
-                    remainingInput: input.substring(i + 1),
+                    remainingInput: remaining(i + 1),
                     action: 'Rechazada - No hay transicion'
                 });
                 return { accepted: false, steps: steps };
@@ -164,14 +306,14 @@ class Automaton {
                 step: i + 1,
                 currentState: currentState.id,
                 symbol: symbol,
-                remainingInput: input.substring(i + 1),
+                remainingInput: remaining(i + 1),
                 action: 'Transicion'
             });
         }
 
         const accepted = currentState.isAccepting;
         steps.push({
-            step: input.length + 1,
+            step: symbols.length + 1,
             currentState: currentState.id,
             remainingInput: '',
             action: accepted ? 'Aceptada' : 'Rechazada - Estado no final'
@@ -182,22 +324,24 @@ class Automaton {
 
     /**
      * Simula un AFN
-     * @param {string} input - Cadena de entrada
+     * @param {string|Array<string>} input - Cadena de entrada
      * @returns {Object} Resultado de la simulacion
      */
     simulateNFA(input) {
         let currentStates = this.epsilonClosure(new Set([this.startState]));
         const steps = [];
+        const symbols = this.splitInput(input);
+        const remaining = i => symbols.slice(i).join('');
 
         steps.push({
             step: 0,
             currentStates: Array.from(currentStates).map(s => s.id),
-            remainingInput: input,
+            remainingInput: remaining(0),
             action: 'Inicio (clausura epsilon)'
         });
 
-        for (let i = 0; i < input.length; i++) {
-            const symbol = input[i];
+        for (let i = 0; i < symbols.length; i++) {
+            const symbol = symbols[i];
             const nextStates = new Set();
 
             currentStates.forEach(state => {
@@ -211,7 +355,7 @@ class Automaton {
                     step: i + 1,
                     currentStates: Array.from(currentStates).map(s => s.id),
                     symbol: symbol,
-                    remainingInput: input.substring(i + 1),
+                    remainingInput: remaining(i + 1),
                     action: 'Rechazada - No hay transiciones'
                 });
                 return { accepted: false, steps: steps };
@@ -222,14 +366,14 @@ class Automaton {
                 step: i + 1,
                 currentStates: Array.from(currentStates).map(s => s.id),
                 symbol: symbol,
-                remainingInput: input.substring(i + 1),
+                remainingInput: remaining(i + 1),
                 action: 'Transicion + clausura epsilon'
             });
         }
 
         const accepted = Array.from(currentStates).some(state => state.isAccepting);
         steps.push({
-            step: input.length + 1,
+            step: symbols.length + 1,
             currentStates: Array.from(currentStates).map(s => s.id),
             remainingInput: '',
             action: accepted ? 'Aceptada' : 'Rechazada - Ningun estado final'
@@ -238,6 +382,320 @@ class Automaton {
         return { accepted: accepted, steps: steps };
     }
 
+    /**
+     * Estados alcanzables desde el inicial (BFS, con transiciones epsilon)
+     * @returns {Set<State>} Estados alcanzables
+     */
+    getReachableStates() {
+        const reachable = new Set();
+        if (!this.startState) return reachable;
+        const queue = [this.startState];
+        reachable.add(this.startState);
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            this.successorsOf(current).forEach(target => {
+                if (!reachable.has(target)) {
+                    reachable.add(target);
+                    queue.push(target);
+                }
+            });
+        }
+
+        return reachable;
+    }
+
+    /**
+     * Estados desde los que se llega a alguno de aceptacion (BFS hacia atras)
+     * @returns {Set<State>} Estados co-alcanzables
+     */
+    getCoReachableStates() {
+        const predecessors = new Map();
+        this.states.forEach(state => {
+            this.successorsOf(state).forEach(target => {
+                if (!predecessors.has(target)) predecessors.set(target, []);
+                predecessors.get(target).push(state);
+            });
+        });
+
+        const coReachable = new Set(this.acceptStates);
+        const queue = Array.from(this.acceptStates);
+        while (queue.length > 0) {
+            const current = queue.shift();
+            (predecessors.get(current) || []).forEach(source => {
+                if (!coReachable.has(source)) {
+                    coReachable.add(source);
+                    queue.push(source);
+                }
+            });
+        }
+
+        return coReachable;
+    }
+
+    /**
+     * @param {State} state - Estado de origen
+     * @returns {Array<State>} Destinos de todas sus transiciones (epsilon incluidas)
+     */
+    successorsOf(state) {
+        const targets = Array.from(state.getEpsilonTransitions());
+        state.transitions.forEach(states => states.forEach(target => targets.push(target)));
+        return targets;
+    }
+
+    /**
+     * Determinizacion perezosa: los estados del AFD son claves de subconjunto
+     * (clausura epsilon incluida) que se calculan a medida que se piden. Una
+     * transicion ausente lleva al subconjunto vacio (clave ''), que rechaza todo
+     * @returns {Object} { start, next(key, symbol), accepting(key) }
+     */
+    subsetView() {
+        const subsets = new Map(); // clave -> { states, accepting, next: Map simbolo -> clave }
+
+        const intern = states => {
+            const key = Array.from(states).map(state => state.id).sort((a, b) => a - b).join(',');
+            if (!subsets.has(key)) {
+                subsets.set(key, {
+                    states,
+                    accepting: Array.from(states).some(state => state.isAccepting),
+                    next: new Map()
+                });
+            }
+            return key;
+        };
+
+        const start = this.startState
+            ? intern(this.epsilonClosure(new Set([this.startState])))
+            : intern(new Set());
+
+        return {
+            start,
+            accepting: key => subsets.get(key).accepting,
+            next: (key, symbol) => {
+                const subset = subsets.get(key);
+                if (!subset.next.has(symbol)) {
+                    const moved = new Set();
+                    subset.states.forEach(state => state.getTransitions(symbol).forEach(target => moved.add(target)));
+                    subset.next.set(symbol, intern(this.epsilonClosure(moved)));
+                }
+                return subset.next.get(symbol);
+            }
+        };
+    }
+
+    /**
+     * Cadena mas corta que lleva de alguno de los estados de origen a uno que
+     * cumpla el criterio. BFS por capas: cada capa se cierra por epsilon antes
+     * de leer el siguiente simbolo, asi las transiciones epsilon no cuentan
+     * @param {Iterable<State>} sources - Estados de origen
+     * @param {Function} isTarget - (state) => boolean
+     * @param {Set<State>} allowed - Si se da, solo se recorren estos estados
+     * @returns {string|null} Cadena ('' para ε; los simbolos de varios caracteres
+     *   entre comillas, como en las expresiones) o null si no se llega
+     */
+    shortestWord(sources, isTarget, allowed = null) {
+        const parent = new Map(); // estado -> { previous, symbol } (null en los de origen)
+        const symbols = this.getAlphabet();
+        const canVisit = state => !parent.has(state) && (!allowed || allowed.has(state));
+        let frontier = Array.from(sources);
+        frontier.forEach(state => parent.set(state, null));
+
+        while (frontier.length > 0) {
+            const stack = [...frontier];
+            while (stack.length > 0) {
+                const current = stack.pop();
+                current.getEpsilonTransitions().forEach(target => {
+                    if (canVisit(target)) {
+                        parent.set(target, { previous: current, symbol: '' });
+                        frontier.push(target);
+                        stack.push(target);
+                    }
+                });
+            }
+
+            const found = frontier.find(isTarget);
+            if (found) {
+                const word = [];
+                for (let link = parent.get(found); link; link = parent.get(link.previous)) word.push(link.symbol);
+                return word.reverse().map(SymbolTokenizer.format).join('');
+            }
+
+            const next = [];
+            frontier.forEach(current => {
+                symbols.forEach(symbol => {
+                    current.getTransitions(symbol).forEach(target => {
+                        if (canVisit(target)) {
+                            parent.set(target, { previous: current, symbol });
+                            next.push(target);
+                        }
+                    });
+                });
+            });
+            frontier = next;
+        }
+
+        return null;
+    }
+
+    /**
+     * ¿L = ∅? Si no, el testigo es la cadena aceptada mas corta
+     * @returns {Object} { empty, witness }
+     */
+    isEmpty() {
+        const witness = this.startState
+            ? this.shortestWord([this.startState], state => state.isAccepting)
+            : null;
+        return { empty: witness === null, witness };
+    }
+
+    /**
+     * ¿L es finito? Es infinito si hay un ciclo que lee algun simbolo entre
+     * estados utiles (alcanzables y co-alcanzables): una transicion p --a--> q
+     * dentro de una misma componente fuertemente conexa. El testigo es
+     * { prefix, cycle, suffix } con prefix·cycle^i·suffix ∈ L para todo i >= 0
+     * @returns {Object} { finite, witness }
+     */
+    isFinite() {
+        const coReachable = this.getCoReachableStates();
+        const useful = new Set(Array.from(this.getReachableStates()).filter(state => coReachable.has(state)));
+        const component = this.stronglyConnectedComponents(useful);
+        const symbols = this.getAlphabet();
+        const states = Array.from(useful).sort((a, b) => a.id - b.id);
+
+        for (const state of states) {
+            for (const symbol of symbols) {
+                for (const target of state.getTransitions(symbol)) {
+                    if (!useful.has(target) || component.get(target) !== component.get(state)) continue;
+                    const members = new Set(states.filter(member => component.get(member) === component.get(state)));
+                    return {
+                        finite: false,
+                        witness: {
+                            prefix: this.shortestWord([this.startState], current => current === state),
+                            cycle: SymbolTokenizer.format(symbol) + this.shortestWord([target], current => current === state, members),
+                            suffix: this.shortestWord([state], current => current.isAccepting)
+                        }
+                    };
+                }
+            }
+        }
+
+        return { finite: true, witness: null };
+    }
+
+    /**
+     * Componentes fuertemente conexas (Kosaraju iterativo) del subgrafo de
+     * los estados dados, con transiciones epsilon
+     * @param {Set<State>} states - Estados del subgrafo
+     * @returns {Map<State, number>} Estado -> indice de su componente
+     */
+    stronglyConnectedComponents(states) {
+        const order = [];
+        const visited = new Set();
+        const predecessors = new Map(Array.from(states).map(state => [state, []]));
+
+        states.forEach(root => {
+            if (visited.has(root)) return;
+            visited.add(root);
+            const stack = [[root, this.successorsOf(root).values()]];
+            while (stack.length > 0) {
+                const [current, targets] = stack[stack.length - 1];
+                const next = targets.next();
+                if (next.done) {
+                    order.push(current);
+                    stack.pop();
+                } else if (states.has(next.value)) {
+                    predecessors.get(next.value).push(current);
+                    if (!visited.has(next.value)) {
+                        visited.add(next.value);
+                        stack.push([next.value, this.successorsOf(next.value).values()]);
+                    }
+                }
+            }
+        });
+
+        // Segunda pasada sobre el grafo inverso, en orden de finalizacion decreciente
+        const component = new Map();
+        let index = -1;
+        order.reverse().forEach(root => {
+            if (component.has(root)) return;
+            index++;
+            const stack = [root];
+            component.set(root, index);
+            while (stack.length > 0) {
+                predecessors.get(stack.pop()).forEach(source => {
+                    if (!component.has(source)) {
+                        component.set(source, index);
+                        stack.push(source);
+                    }
+                });
+            }
+        });
+
+        return component;
+    }
+
+    /**
+     * ¿L = Σ*? Si no, el testigo es la cadena rechazada mas corta (BFS sobre
+     * la determinizacion perezosa; el subconjunto vacio rechaza), con el
+     * mismo formato que shortestWord
+     * @param {Iterable<string>} alphabet - Simbolos adicionales al alfabeto del automata
+     * @returns {Object} { universal, witness }
+     */
+    isUniversal(alphabet = []) {
+        const symbols = Array.from(new Set([...this.alphabet, ...alphabet]));
+        const view = this.subsetView();
+        const visited = new Set([view.start]);
+        const queue = [{ key: view.start, word: [] }];
+
+        for (let head = 0; head < queue.length; head++) {
+            const { key, word } = queue[head];
+            if (!view.accepting(key)) return { universal: false, witness: word.map(SymbolTokenizer.format).join('') };
+            symbols.forEach(symbol => {
+                const next = view.next(key, symbol);
+                if (!visited.has(next)) {
+                    visited.add(next);
+                    queue.push({ key: next, word: [...word, symbol] });
+                }
+            });
+        }
+
+        return { universal: true, witness: null };
+    }
+
+    /**
+     * Numero de cadenas aceptadas de longitud exactamente n: programacion
+     * dinamica sobre la matriz de transicion del AFD (vector de cuentas por
+     * estado, n productos). Los AFN se determinizan con subsetView, porque
+     * contar caminos en el AFN contaria dos veces las cadenas ambiguas
+     * @param {number} n - Longitud
+     * @returns {bigint} Numero de cadenas aceptadas
+     */
+    countWords(n) {
+        if (!Number.isInteger(n) || n < 0) {
+            throw new Error(`La longitud debe ser un entero no negativo: ${n}`);
+        }
+        const symbols = this.getAlphabet();
+        const view = this.subsetView();
+        let counts = new Map([[view.start, 1n]]);
+
+        for (let length = 0; length < n; length++) {
+            const next = new Map();
+            counts.forEach((count, key) => {
+                symbols.forEach(symbol => {
+                    const target = view.next(key, symbol);
+                    if (target !== '') next.set(target, (next.get(target) || 0n) + count);
+                });
+            });
+            counts = next;
+        }
+
+        let total = 0n;
+        counts.forEach((count, key) => {
+            if (view.accepting(key)) total += count;
+        });
+        return total;
+    }
+
     /**
      * Exporta el automata en el formato requerido
      * @param {string} format - Formato de exportacion ('json', 'text')
@@ -291,12 +749,13 @@ class Automaton {
             }, null, 2);
         } else {
             // Formato de texto como especifica el proyecto
+            // (los simbolos de varios caracteres van entre comillas: 'if')
             let result = `ESTADOS = {${states.join(', ')}}\n`;
-            result += `SIMBOLOS = {${alphabet.join(', ')}}\n`;
+            result += `SIMBOLOS = {${alphabet.map(SymbolTokenizer.format).join(', ')}}\n`;
             result += `INICIO = {${startState}}\n`;
             result += `ACEPTACION = {${acceptStates.join(', ')}}\n`;
             result += `TRANSICIONES = {${transitions.map(t => 
-                `(${t.from}, ${t.symbol}, ${t.to})`
+                `(${t.from}, ${t.symbol === 'ε' ? t.symbol : SymbolTokenizer.format(t.symbol)}, ${t.to})`
             ).join(', ')}}`;
             return result;
         }
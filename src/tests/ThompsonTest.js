@@ -7,7 +7,10 @@ const testCases = [
     'ab|*',      // (a|b)*
     'ab.',       // ab
     'a*b+.',     // a*b+
-    'ab|*ab.b..' // (a|b)*abb
+    'ab|*ab.b..', // (a|b)*abb
+    'ab.{2,3}',   // (ab){2,3}
+    'a*b*&',      // a*&b*
+    'ab.~'        // ~(ab)
 ];
 
 thompson.runTests(testCases);
\ No newline at end of file
@@ -0,0 +1,73 @@
+import ThompsonNFA from '../algorithms/thompsonNFA.js';
+import SubsetConstruction from '../algorithms/subsetConstruction.js';
+import HopcroftMinimization from '../algorithms/hopcroft.js';
+import BooleanOperations from '../algorithms/booleanOperations.js';
+
+const thompson = new ThompsonNFA();
+const subsetConstruction = new SubsetConstruction();
+const hopcroft = new HopcroftMinimization();
+
+// Expresion, cadenas de prueba y si cada una debe aceptarse
+const testCases = [
+    { regex: '(a|b)*&~((a|b)*aa(a|b)*)', strings: { '': true, 'abab': true, 'baab': false, 'aa': false } },
+    { regex: '(a|b)*a(a|b)*&(a|b)*b(a|b)*', strings: { 'ab': true, 'ba': true, 'aaa': false, '': false } },
+    { regex: '!(a|b)*', strings: { '': false, 'ab': false } },
+    { regex: '~a*b', strings: { 'bb': true, 'b': false, 'aab': false, 'bab': true } }
+];
+
+console.log('=== PRUEBAS INTERSECCION Y COMPLEMENTO ===\n');
+
+testCases.forEach(({ regex, strings }, index) => {
+    console.log(`Prueba ${index + 1}: ${regex}`);
+    const result = thompson.fromRegex(regex);
+    if (!result.success) {
+        console.log(`✗ Error: ${result.errors.join(', ')}`);
+        console.log('');
+        return;
+    }
+
+    const dfa = subsetConstruction.convertToDFA(result.nfa);
+    const minDFA = hopcroft.minimize(dfa);
+    console.log(`✓ Postfija: ${result.postfix}`);
+    console.log(`  AFN: ${result.nfa.states.size} estados, AFD: ${dfa.states.size}, AFD minimo: ${minDFA.states.size}`);
+
+    Object.entries(strings).forEach(([input, expected]) => {
+        const accepted = minDFA.accepts(input).accepted;
+        const mark = accepted === expected ? '✓' : '✗';
+        console.log(`  ${mark} "${input}": ${accepted ? 'aceptada' : 'rechazada'}`);
+    });
+    console.log('');
+});
+
+// Operaciones de producto entre automatas ya construidos (alfabetos distintos: {a,b} y {b,c})
+console.log('=== PRUEBAS OPERACIONES DE PRODUCTO ===\n');
+
+const operations = new BooleanOperations();
+const first = subsetConstruction.convertToDFA(thompson.fromRegex('a*b').nfa);
+const second = thompson.fromRegex('b|bc').nfa;
+const productCases = [
+    { name: 'union', strings: { 'b': true, 'aab': true, 'bc': true, 'c': false } },
+    { name: 'intersection', strings: { 'b': true, 'ab': false, 'bc': false } },
+    { name: 'difference', strings: { 'ab': true, 'b': false, 'bc': false } },
+    { name: 'symmetricDifference', strings: { 'ab': true, 'bc': true, 'b': false, '': false } }
+];
+
+productCases.forEach(({ name, strings }) => {
+    const product = operations[name](first, second);
+    const minDFA = hopcroft.minimize(product);
+    console.log(`${name}(a*b, b|bc): producto ${product.states.size} estados, AFD minimo ${minDFA.states.size}`);
+    Object.entries(strings).forEach(([input, expected]) => {
+        const accepted = minDFA.accepts(input).accepted;
+        console.log(`  ${accepted === expected ? '✓' : '✗'} "${input}": ${accepted ? 'aceptada' : 'rechazada'}`);
+    });
+});
+
+// Origen de cada estado: ID en el AFD de a*b y subconjunto del AFN de b|bc ([] = sumidero)
+const union = operations.union(first, second);
+console.log('\nOrigen de los estados de la union:');
+union.states.forEach(state => {
+    console.log(`  q${state.id} <- (${JSON.stringify(state.originPair.first)}, ${JSON.stringify(state.originPair.second)})${state.isAccepting ? ' (aceptacion)' : ''}`);
+});
+const start = union.startState.originPair;
+console.log(start.first[0] === first.startState.id && start.second.length > 0
+    ? '✓ El inicial viene de los iniciales de ambos operandos' : '✗ Origen del inicial incorrecto');
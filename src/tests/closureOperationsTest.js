@@ -0,0 +1,52 @@
+import ThompsonNFA from '../algorithms/thompsonNFA.js';
+import SubsetConstruction from '../algorithms/subsetConstruction.js';
+import ClosureOperations from '../algorithms/closureOperations.js';
+
+const operations = new ClosureOperations();
+const build = regex => new ThompsonNFA().fromRegex(regex).nfa;
+
+console.log('=== PRUEBAS OPERACIONES DE CLAUSURA ===\n');
+
+function check(name, automaton, strings) {
+    console.log(`${name}: ${automaton.type}, ${automaton.states.size} estados`);
+    Object.entries(strings).forEach(([input, expected]) => {
+        const accepted = automaton.accepts(input).accepted;
+        console.log(`  ${accepted === expected ? '✓' : '✗'} "${input}": ${accepted ? 'aceptada' : 'rechazada'}`);
+    });
+}
+
+const ab = build('a+b');
+const dfa = new SubsetConstruction().convertToDFA(build('(a|b)*abb'));
+const snapshot = automaton => JSON.stringify([automaton.export('json'), Array.from(automaton.states.values()).map(state => state.isAccepting)]);
+const before = [snapshot(ab), snapshot(dfa)];
+
+check('reverse((a|b)*abb)', operations.reverse(dfa), { 'bba': true, 'bbaab': true, 'abb': false });
+check('concatenate(a+b, (a|b)*abb)', operations.concatenate(ab, dfa), { 'ababb': true, 'aababb': true, 'abb': false });
+check('star(a+b)', operations.star(ab), { '': true, 'abaab': true, 'aba': false });
+check('complement((a|b)*abb)', operations.complement(dfa), { '': true, 'ab': true, 'babb': false });
+
+// h(a) = 01, h(b) = ε
+check('homomorphism(a+b, a->01, b->ε)', operations.homomorphism(ab, { a: '01', b: '' }), { '01': true, '0101': true, '': false, '010': false });
+
+// h⁻¹(L): w tal que h(w) termina en abb, con h(x) = ab, h(y) = b
+check('inverseHomomorphism((a|b)*abb, x->ab, y->b)', operations.inverseHomomorphism(dfa, { x: 'ab', y: 'b' }), { 'xy': true, 'yxy': true, 'x': false, 'yy': false });
+
+console.log(`\nEntradas sin modificar`);
+console.log(snapshot(ab) === before[0] && snapshot(dfa) === before[1]
+    ? '✓ Los automatas de entrada no cambiaron' : '✗ Alguna operacion modifico su entrada');
+
+console.log(`\nEstados nuevos sobre los resultados`);
+[['concatenate', operations.concatenate(ab, dfa)], ['star', operations.star(ab)]].forEach(([name, result]) => {
+    const size = result.states.size;
+    const state = result.createState(false);
+    console.log(result.states.size === size + 1 && result.getState(state.id) === state
+        ? `✓ ${name}: createState agrega q${state.id} sin reemplazar otro estado`
+        : `✗ ${name}: createState reutilizo el id ${state.id}`);
+});
+
+try {
+    operations.homomorphism(ab, { a: '0' });
+    console.log('✗ Se esperaba UNDEFINED_IMAGE');
+} catch (error) {
+    console.log(`✓ ${error.code}: ${error.message}`);
+}
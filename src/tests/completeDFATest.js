@@ -0,0 +1,47 @@
+import ThompsonNFA from '../algorithms/thompsonNFA.js';
+import SubsetConstruction from '../algorithms/subsetConstruction.js';
+import HopcroftMinimization from '../algorithms/hopcroft.js';
+import RegexDerivatives from '../algorithms/regexDerivatives.js';
+
+const thompson = new ThompsonNFA();
+const subset = new SubsetConstruction();
+const hopcroft = new HopcroftMinimization();
+
+console.log('=== PRUEBAS AFD COMPLETOS Y SUMIDERO ===\n');
+
+// 1. complete() agrega un unico sumidero con bucles sobre todo el alfabeto
+const { nfa } = thompson.fromRegex('ab');
+const partial = subset.convertToDFA(nfa);
+const completed = subset.convertToDFA(nfa).complete(['c']);
+const sink = completed.sinkState;
+console.log('Prueba 1: complete() sobre el AFD de ab con simbolo extra c');
+console.log(!partial.isComplete() && completed.isComplete() && sink && !sink.isAccepting
+    && completed.getAlphabet().every(symbol => sink.getTransitions(symbol).has(sink))
+    ? `✓ ${partial.states.size} estados -> ${completed.states.size} (sumidero q${sink.id})` : '✗ Sumidero incorrecto');
+console.log(completed.complete().sinkState === null ? '✓ Completar de nuevo no agrega estados\n' : '✗ Se agrego otro sumidero\n');
+
+// 2. convertToDFA con complete: true produce el sumidero como subconjunto vacio
+const direct = subset.convertToDFA(nfa, { complete: true });
+console.log('Prueba 2: convertToDFA(nfa, { complete: true })');
+console.log(direct.isComplete() && Object.values(subset.getStateMapping()).some(entry => entry.nfaStates.length === 0)
+    ? `✓ ${direct.states.size} estados, sumidero = {}` : '✗ Se esperaba un AFD completo');
+const steps = subset.convertWithSteps(nfa, { complete: true });
+console.log(steps.dfa.isComplete() && steps.steps.some(step => step.action.includes('sumidero'))
+    ? '✓ convertWithSteps registra el paso del sumidero\n' : '✗ Falta el paso del sumidero\n');
+
+// 3. Hopcroft trata las transiciones faltantes como un sumidero implicito
+console.log('Prueba 3: minimizacion de AFD parciales y completos');
+[['(a|b)*abb', 4], ['ab|ac', 3], ['a(b|c)*', 2]].forEach(([regex, expected]) => {
+    const dfa = subset.convertToDFA(thompson.fromRegex(regex).nfa);
+    const fromPartial = hopcroft.minimize(dfa).states.size;
+    const fromComplete = hopcroft.minimize(dfa.complete()).states.size;
+    const ok = fromPartial === expected && fromComplete === (dfa.sinkState ? expected + 1 : expected);
+    console.log(`${ok ? '✓' : '✗'} ${regex}: parcial ${fromPartial}, completo ${fromComplete}`);
+});
+
+// 4. Estados muertos explicitos en un AFD parcial: ~(~a|a) es el lenguaje vacio
+const empty = new RegexDerivatives().toDFA('~(~a|a)', { alphabet: ['a', 'b'] }).dfa;
+const minimal = hopcroft.minimize(empty);
+console.log(`\nPrueba 4: ~(~a|a) por derivadas (${empty.states.size} estados)`);
+console.log(minimal.states.size === 1 && minimal.acceptStates.size === 0
+    ? '✓ Un unico estado de rechazo' : `✗ Se esperaba 1 estado, hay ${minimal.states.size}`);
@@ -0,0 +1,32 @@
+import DirectDFA from '../algorithms/directDFA.js';
+import ThompsonNFA from '../algorithms/thompsonNFA.js';
+import SubsetConstruction from '../algorithms/subsetConstruction.js';
+import HopcroftMinimization from '../algorithms/hopcroft.js';
+
+const direct = new DirectDFA();
+const thompson = new ThompsonNFA();
+const subset = new SubsetConstruction();
+const hopcroft = new HopcroftMinimization();
+
+const testCases = ['(a|b)*abb', 'a*b+', '(ab|ε)c?', 'a{2,3}', 'a~b'];
+
+console.log('=== PRUEBAS CONSTRUCCION DIRECTA DE AFD ===\n');
+
+testCases.forEach((testCase, index) => {
+    console.log(`Prueba ${index + 1}: ${testCase}`);
+    const result = direct.fromRegex(testCase);
+    if (!result.success) {
+        console.log(`✗ Error: ${result.errors.join('; ')}\n`);
+        return;
+    }
+
+    console.log(direct.treeToLines().map(line => `  ${line}`).join('\n'));
+    result.followpos.forEach(row => {
+        console.log(`  followpos(${row.position}) [${row.symbol}] = {${row.followpos.join(',')}}`);
+    });
+
+    const minimal = hopcroft.minimize(result.dfa);
+    const viaSubsets = hopcroft.minimize(subset.convertToDFA(thompson.fromRegex(testCase).nfa));
+    console.log(`✓ AFD directo: ${result.dfa.states.size} estados, minimo: ${minimal.states.size} estados`);
+    console.log(`  Minimo via Thompson + subconjuntos: ${viaSubsets.states.size} estados\n`);
+});
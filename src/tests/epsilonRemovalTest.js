@@ -0,0 +1,27 @@
+import ThompsonNFA from '../algorithms/thompsonNFA.js';
+import SubsetConstruction from '../algorithms/subsetConstruction.js';
+
+const thompson = new ThompsonNFA();
+const subset = new SubsetConstruction();
+
+const testCases = ['(a|b)*abb', 'a*b+', '(ab|ε)c?', 'a{2,3}', 'a*&~(aa)'];
+const words = ['', 'a', 'aa', 'aaa', 'ab', 'abb', 'babb', 'abc', 'c', 'b'];
+
+console.log('=== PRUEBAS ELIMINACION DE TRANSICIONES EPSILON ===\n');
+
+testCases.forEach((testCase, index) => {
+    console.log(`Prueba ${index + 1}: ${testCase}`);
+    const { nfa } = thompson.fromRegex(testCase);
+    const { automaton, steps } = nfa.removeEpsilonsWithSteps();
+
+    steps.forEach(step => console.log(`  ${step.action}`));
+
+    let epsilonCount = 0;
+    automaton.states.forEach(state => { epsilonCount += state.epsilonTransitions.size; });
+    const differences = words.filter(word => nfa.accepts(word).accepted !== automaton.accepts(word).accepted);
+
+    const mark = epsilonCount === 0 && differences.length === 0 ? '✓' : '✗';
+    console.log(`${mark} ${nfa.states.size} estados -> ${automaton.states.size} estados, ${epsilonCount} transiciones ε`);
+    console.log(differences.length === 0 ? '  Mismo lenguaje en las cadenas de prueba' : `  Difiere en: ${differences.join(', ')}`);
+    console.log(`  AFD por subconjuntos desde el AFN sin ε: ${subset.convertToDFA(automaton).states.size} estados\n`);
+});
@@ -0,0 +1,65 @@
+import Automaton from '../models/Automaton.js';
+import ThompsonNFA from '../algorithms/thompsonNFA.js';
+import SubsetConstruction from '../algorithms/subsetConstruction.js';
+import HopcroftMinimization from '../algorithms/hopcroft.js';
+import LanguageEquivalence from '../algorithms/equivalence.js';
+
+const equivalence = new LanguageEquivalence();
+
+console.log('=== PRUEBAS EQUIVALENCIA DE LENGUAJES ===\n');
+
+// 1. Pares de expresiones
+console.log('Prueba 1: expresiones regulares');
+[
+    ['(a|b)*', '(a*b*)*', true],
+    ['(ab)*a', 'a(ba)*', true],
+    ['a*', 'a*b', false],
+    ['(a|b)*abb', '(a|b)*bb', false],
+    ['a(b|c)', 'ab|ac', true]
+].forEach(([first, second, expected]) => {
+    const result = equivalence.equivalent(first, second);
+    const detail = result.equivalent ? 'equivalentes' : `"${result.counterexample}" solo en ${result.acceptedBy === 'first' ? first : second}`;
+    console.log(`${result.equivalent === expected ? '✓' : '✗'} ${first} vs ${second}: ${detail}`);
+});
+
+// 2. AFD hecho a mano vs Thompson -> subconjuntos -> Hopcroft: cadenas con un numero par de a
+console.log('\nPrueba 2: AFD hecho a mano vs AFD minimo de la expresion');
+const student = new Automaton('DFA');
+const even = student.createState(true);
+const odd = student.createState(false);
+student.setStartState(even);
+student.addTransition(even, 'a', odd);
+student.addTransition(odd, 'a', even);
+student.addTransition(even, 'b', even);
+student.addTransition(odd, 'b', odd);
+
+const pipeline = regex => new HopcroftMinimization().minimize(
+    new SubsetConstruction().convertToDFA(new ThompsonNFA().fromRegex(regex).nfa));
+const correct = equivalence.equivalent(student, pipeline('(b*ab*a)*b*'));
+console.log(correct.equivalent ? '✓ Equivalente a (b*ab*a)*b*' : `✗ Contraejemplo: "${correct.counterexample}"`);
+const wrong = equivalence.equivalent(student, pipeline('(b*ab*a)*'));
+console.log(!wrong.equivalent && wrong.counterexample === 'b' && wrong.acceptedBy === 'first'
+    ? '✓ Contra (b*ab*a)*: "b" solo lo acepta el AFD hecho a mano' : `✗ ${JSON.stringify(wrong)}`);
+
+// 3. Inclusion
+console.log('\nPrueba 3: inclusion');
+[
+    ['(a|b)*abb', '(a|b)*b', true],
+    ['(a|b)*b', '(a|b)*abb', false],
+    ['ε', 'a*', true]
+].forEach(([first, second, expected]) => {
+    const result = equivalence.isSubset(first, second, { alphabet: ['a', 'b'] });
+    const detail = result.included ? 'incluido' : `"${result.counterexample}" esta solo en el primero`;
+    console.log(`${result.included === expected ? '✓' : '✗'} L(${first}) ⊆ L(${second}): ${detail}`);
+});
+
+// 4. Expresion invalida
+const invalid = equivalence.equivalent('a(', 'a');
+console.log(`\nPrueba 4: expresion invalida`);
+console.log(!invalid.success && invalid.errors.length > 0 ? `✓ ${invalid.errors[0]}` : '✗ Se esperaba un error');
+
+// 5. Simbolos de varios caracteres: el contraejemplo los muestra entre comillas
+console.log(`\nPrueba 5: simbolos de varios caracteres`);
+const keyword = equivalence.equivalent("'if'", 'if');
+console.log(!keyword.equivalent && keyword.counterexample === "'if'" && keyword.acceptedBy === 'first'
+    ? `✓ 'if' vs if: ${keyword.counterexample} solo en 'if'` : `✗ ${JSON.stringify(keyword)}`);
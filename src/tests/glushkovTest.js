@@ -0,0 +1,37 @@
+import ThompsonNFA from '../algorithms/thompsonNFA.js';
+import SubsetConstruction from '../algorithms/subsetConstruction.js';
+
+const thompson = new ThompsonNFA();
+const subset = new SubsetConstruction();
+
+// Cantidad de transiciones epsilon del AFN
+function countEpsilon(nfa) {
+    let count = 0;
+    nfa.states.forEach(state => { count += state.epsilonTransitions.size; });
+    return count;
+}
+
+const testCases = ['(a|b)*abb', 'a*b+', '(ab|ε)c?', 'a{2,3}', '∅|a', 'a&b'];
+const words = ['', 'a', 'abb', 'babb', 'aa', 'aaa', 'c', 'abc'];
+
+console.log('=== PRUEBAS GLUSHKOV VS THOMPSON ===\n');
+
+testCases.forEach((testCase, index) => {
+    console.log(`Prueba ${index + 1}: ${testCase}`);
+    const byThompson = thompson.fromRegex(testCase);
+    const byGlushkov = thompson.fromRegex(testCase, { construction: 'glushkov' });
+    if (!byGlushkov.success) {
+        console.log(`✗ Error: ${byGlushkov.errors.join('; ')}\n`);
+        return;
+    }
+
+    console.log(`  Thompson: ${byThompson.nfa.states.size} estados, ${countEpsilon(byThompson.nfa)} transiciones ε`);
+    console.log(`  Glushkov: ${byGlushkov.nfa.states.size} estados, ${countEpsilon(byGlushkov.nfa)} transiciones ε`);
+    byGlushkov.steps.forEach(step => console.log(`    ${step.description}: ${step.action}`));
+
+    const differences = words.filter(word =>
+        byThompson.nfa.accepts(word).accepted !== byGlushkov.nfa.accepts(word).accepted);
+    const dfaSizes = [byThompson, byGlushkov].map(result => subset.convertToDFA(result.nfa).states.size);
+    console.log(differences.length === 0 ? '✓ Mismo lenguaje en las cadenas de prueba' : `✗ Difieren en: ${differences.join(', ')}`);
+    console.log(`  AFD por subconjuntos: ${dfaSizes[0]} (Thompson) / ${dfaSizes[1]} (Glushkov) estados\n`);
+});
@@ -0,0 +1,48 @@
+import Automaton from '../models/Automaton.js';
+import ThompsonNFA from '../algorithms/thompsonNFA.js';
+import SubsetConstruction from '../algorithms/subsetConstruction.js';
+import HopcroftMinimization from '../algorithms/hopcroft.js';
+
+const hopcroft = new HopcroftMinimization();
+
+console.log('=== PRUEBAS DE CARGA HOPCROFT ===\n');
+
+function run(name, dfa, expected, words) {
+    const start = Date.now();
+    const minDFA = hopcroft.minimize(dfa);
+    const elapsed = Date.now() - start;
+    const agrees = words.every(word => minDFA.accepts(word).accepted === dfa.accepts(word).accepted);
+    console.log(`${minDFA.states.size === expected && agrees ? '✓' : '✗'} ${name}: ${dfa.states.size} -> ${minDFA.states.size} estados (esperado ${expected}) en ${elapsed} ms`);
+}
+
+// 1. (a|b)*a(a|b){11}: el AFD de subconjuntos ya es minimo, 2^12 estados
+const { nfa } = new ThompsonNFA().fromRegex('(a|b)*a(a|b){11}');
+const subsetDFA = new SubsetConstruction().convertToDFA(nfa);
+run('(a|b)*a(a|b){11}', subsetDFA, 4096, ['a'.repeat(12), 'b' + 'a'.repeat(11), 'ab'.repeat(10), 'ba'.repeat(7)]);
+
+// 2. Contador modulo 2000 desenrollado tres veces: cada estado tiene dos equivalentes
+const counter = new Automaton('DFA');
+const counterStates = Array.from({ length: 6000 }, (_, i) => counter.createState(i % 2000 === 0));
+counter.setStartState(counterStates[0]);
+counterStates.forEach((state, i) => {
+    counter.addTransition(state, 'a', counterStates[(i + 1) % 6000]);
+    counter.addTransition(state, 'b', state);
+});
+run('#a ≡ 0 (mod 2000), 3 copias', counter, 2000, ['', 'a'.repeat(2000), 'a'.repeat(1999) + 'b', 'b'.repeat(5)]);
+
+// 3. AFD parcial: cadena a^3000 con una rama muerta por cada b (se descartan todas)
+const chain = new Automaton('DFA');
+const path = Array.from({ length: 3001 }, (_, i) => chain.createState(i === 3000));
+const dead = Array.from({ length: 3000 }, () => chain.createState(false));
+chain.setStartState(path[0]);
+for (let i = 0; i < 3000; i++) {
+    chain.addTransition(path[i], 'a', path[i + 1]);
+    chain.addTransition(path[i], 'b', dead[i]);
+    chain.addTransition(dead[i], 'a', dead[(i + 1) % 3000]);
+}
+run('a^3000 con 3000 estados muertos', chain, 3001, ['a'.repeat(3000), 'a'.repeat(2999), 'a'.repeat(10) + 'b' + 'a'.repeat(2989)]);
+
+// 4. Los pasos detallados siguen disponibles en AFD grandes
+const start = Date.now();
+const detailed = hopcroft.minimizeWithSteps(counter);
+console.log(`\n${detailed.success && detailed.minimalDFA.states.size === 2000 ? '✓' : '✗'} minimizeWithSteps: ${detailed.steps.length} pasos en ${Date.now() - start} ms`);
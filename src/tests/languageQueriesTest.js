@@ -0,0 +1,114 @@
+import Automaton from '../models/Automaton.js';
+import ThompsonNFA from '../algorithms/thompsonNFA.js';
+import SubsetConstruction from '../algorithms/subsetConstruction.js';
+import HopcroftMinimization from '../algorithms/hopcroft.js';
+
+console.log('=== PRUEBAS CONSULTAS SOBRE EL LENGUAJE ===\n');
+
+const nfaOf = regex => new ThompsonNFA().fromRegex(regex, { alphabet: ['a', 'b'] }).nfa;
+const minDFAOf = regex => new HopcroftMinimization().minimize(new SubsetConstruction().convertToDFA(nfaOf(regex)));
+
+// 1. Vacuidad: el testigo es la cadena aceptada mas corta
+console.log('Prueba 1: isEmpty');
+[
+    ['(a|b)*abb', 'abb'],
+    ['a*b+', 'b'],
+    ['(ab)*', '']
+].forEach(([regex, expected]) => {
+    const result = nfaOf(regex).isEmpty();
+    console.log(`${!result.empty && result.witness === expected ? '✓' : '✗'} ${regex}: testigo "${result.witness}"`);
+});
+
+// Estado de aceptacion inalcanzable
+const unreachable = new Automaton('DFA');
+const q0 = unreachable.createState(false);
+const q1 = unreachable.createState(true);
+unreachable.setStartState(q0);
+unreachable.addTransition(q0, 'a', q0);
+unreachable.addTransition(q1, 'a', q0);
+const emptyResult = unreachable.isEmpty();
+console.log(emptyResult.empty && emptyResult.witness === null
+    ? '✓ Aceptacion inalcanzable: lenguaje vacio' : `✗ ${JSON.stringify(emptyResult)}`);
+
+// 2. Finitud: ciclo bombeable prefix·cycle^i·suffix
+console.log('\nPrueba 2: isFinite');
+[
+    ['ab|ba|aab', true],
+    ['a(ba)*b', false],
+    ['(a|b)*abb', false],
+    ['ε', true]
+].forEach(([regex, expected]) => {
+    const nfa = nfaOf(regex);
+    const result = nfa.isFinite();
+    let pumped = true;
+    let detail = 'finito';
+    if (!result.finite) {
+        const { prefix, cycle, suffix } = result.witness;
+        pumped = [0, 1, 2, 3].every(i => nfa.accepts(prefix + cycle.repeat(i) + suffix).accepted);
+        detail = `${prefix || 'ε'}·(${cycle})^i·${suffix || 'ε'} ${pumped ? 'bombea' : 'NO bombea'}`;
+    }
+    console.log(`${result.finite === expected && pumped ? '✓' : '✗'} ${regex}: ${detail}`);
+});
+
+// Un ciclo entre estados muertos no hace infinito el lenguaje
+const deadLoop = new Automaton('DFA');
+const d0 = deadLoop.createState(false);
+const d1 = deadLoop.createState(true);
+const dead = deadLoop.createState(false);
+deadLoop.setStartState(d0);
+deadLoop.addTransition(d0, 'a', d1);
+deadLoop.addTransition(d0, 'b', dead);
+deadLoop.addTransition(dead, 'a', dead);
+deadLoop.addTransition(dead, 'b', dead);
+console.log(deadLoop.isFinite().finite ? '✓ Ciclo en estado muerto: finito' : '✗ El ciclo muerto no deberia contar');
+
+// 3. Universalidad: el testigo es la cadena rechazada mas corta
+console.log('\nPrueba 3: isUniversal');
+[
+    ['(a|b)*', true, null],
+    ['(a*b*)*', true, null],
+    ['(a|b)*b', false, ''],
+    ['ε|(a|b)*b|a', false, 'aa']
+].forEach(([regex, expected, witness]) => {
+    const result = nfaOf(regex).isUniversal();
+    console.log(`${result.universal === expected && result.witness === witness ? '✓' : '✗'} ${regex}: ${result.universal ? 'universal' : `rechaza "${result.witness}"`}`);
+});
+const extended = minDFAOf('(a|b)*').isUniversal(['c']);
+console.log(!extended.universal && extended.witness === 'c'
+    ? '✓ (a|b)* sobre {a,b,c}: rechaza "c"' : `✗ ${JSON.stringify(extended)}`);
+
+// Simbolos de varios caracteres: los testigos los muestran entre comillas
+const keywords = new ThompsonNFA().fromRegex("'if'('else'|x)*").nfa;
+const keywordEmpty = keywords.isEmpty();
+const keywordFinite = keywords.isFinite();
+const keywordUniversal = keywords.isUniversal();
+console.log(keywordEmpty.witness === "'if'" && keywordFinite.witness.prefix === "'if'"
+    && ["'else'", 'x'].includes(keywordFinite.witness.cycle) && keywordUniversal.witness === ''
+    ? `✓ 'if'('else'|x)*: acepta ${keywordEmpty.witness}, ciclo ${keywordFinite.witness.cycle}`
+    : `✗ ${JSON.stringify([keywordEmpty, keywordFinite, keywordUniversal])}`);
+const keywordRejected = new ThompsonNFA().fromRegex("ε|x('if'|x)*").nfa.isUniversal();
+console.log(keywordRejected.witness === "'if'"
+    ? `✓ ε|x('if'|x)*: rechaza ${keywordRejected.witness}` : `✗ ${JSON.stringify(keywordRejected)}`);
+
+// 4. Conteo por longitud (BigInt)
+console.log('\nPrueba 4: countWords');
+[
+    ['(a|b)*abb', [0n, 0n, 0n, 1n, 2n, 4n]],
+    ['a*|a*', [1n, 1n, 1n, 1n, 1n, 1n]], // AFN ambiguo: cada cadena cuenta una vez
+    ['(ab|ba)*', [1n, 0n, 2n, 0n, 4n, 0n]]
+].forEach(([regex, expected]) => {
+    const nfa = nfaOf(regex);
+    const counts = expected.map((_, n) => nfa.countWords(n));
+    const sameAsDFA = counts.every((count, n) => count === minDFAOf(regex).countWords(n));
+    console.log(`${counts.every((count, n) => count === expected[n]) && sameAsDFA ? '✓' : '✗'} ${regex}: ${counts.join(', ')}`);
+});
+
+const big = minDFAOf('(a|b)*').countWords(100);
+console.log(big === 2n ** 100n ? `✓ (a|b)* con n = 100: ${big}` : `✗ ${big}`);
+
+try {
+    minDFAOf('a').countWords(-1);
+    console.log('✗ Se esperaba un error con longitud negativa');
+} catch (error) {
+    console.log(`✓ ${error.message}`);
+}
@@ -0,0 +1,44 @@
+import ThompsonNFA from '../algorithms/thompsonNFA.js';
+import LazyDFA from '../algorithms/lazyDFA.js';
+
+const thompson = new ThompsonNFA();
+
+// El simbolo 16 posiciones antes del final es 'a': el AFD completo tendria 2^16 estados
+const { nfa } = thompson.fromRegex('(a|b)*a(a|b){15}');
+const inputs = ['a'.repeat(16), 'b'.repeat(16), 'ab'.repeat(20), 'ba'.repeat(20), 'abba'.repeat(10), 'a'];
+
+console.log('=== PRUEBAS AFD PEREZOSO ===\n');
+console.log(`AFN de Thompson: ${nfa.states.size} estados\n`);
+
+[1000, 8, 2].forEach(cacheSize => {
+    const lazy = new LazyDFA(nfa, { cacheSize });
+    console.log(`Cache de ${cacheSize} estados:`);
+    inputs.forEach(input => {
+        const symbols = Array.from(input);
+        const expected = symbols.length >= 16 && symbols[symbols.length - 16] === 'a';
+        const result = lazy.accepts(input);
+        const mark = result.accepted === expected ? '✓' : '✗';
+        console.log(`  ${mark} ${input.slice(0, 24)}${input.length > 24 ? '...' : ''}: ${result.accepted ? 'aceptada' : 'rechazada'}${result.fallback ? ' (AFN por conjuntos)' : ''}`);
+    });
+    console.log(`  Estadisticas: ${JSON.stringify(lazy.getStatistics())}\n`);
+});
+
+// Cada fallo inserta un subconjunto nuevo; las claves del registro son las de los conjuntos simulados
+console.log('Contadores y registro de pasos:');
+const counted = new LazyDFA(nfa);
+inputs.forEach(input => counted.accepts(input));
+const { misses, cachedStates, evictions } = counted.getStatistics();
+console.log(misses === cachedStates + evictions
+    ? `  ✓ ${misses} fallos = ${cachedStates} subconjuntos en cache + ${evictions} desalojados`
+    : `  ✗ ${misses} fallos para ${cachedStates + evictions} subconjuntos insertados`);
+// Segunda pasada: todas las transiciones salen de la cache
+const replay = counted.accepts('abba'.repeat(10));
+let simulated = nfa.epsilonClosure(new Set([nfa.startState]));
+const expectedKeys = [counted.keyOf(simulated)];
+Array.from('abba'.repeat(10)).forEach(symbol => {
+    simulated = nfa.epsilonClosure(counted.move(simulated, symbol));
+    expectedKeys.push(counted.keyOf(simulated));
+});
+console.log(replay.steps.slice(0, -1).every((step, i) => step.currentStates === expectedKeys[i])
+    ? '  ✓ Las claves del registro coinciden con los conjuntos del AFN'
+    : '  ✗ Alguna clave del registro no corresponde a su conjunto');
@@ -0,0 +1,66 @@
+import Automaton from '../models/Automaton.js';
+import ThompsonNFA from '../algorithms/thompsonNFA.js';
+import SubsetConstruction from '../algorithms/subsetConstruction.js';
+import MooreMinimization from '../algorithms/mooreMinimization.js';
+import BrzozowskiMinimization from '../algorithms/brzozowskiMinimization.js';
+import MinimizationCrossCheck from '../utils/minimizationCrossCheck.js';
+
+const thompson = new ThompsonNFA();
+const subset = new SubsetConstruction();
+const crossCheck = new MinimizationCrossCheck();
+
+console.log('=== PRUEBAS MOORE / BRZOZOWSKI / HOPCROFT ===\n');
+
+// 1. Moore sobre un AFD de libro: 1 y 3 parecen iguales en la ronda 0
+const dfa = new Automaton('DFA');
+const q = [0, 1, 2, 3, 4].map(i => dfa.createState(i === 2 || i === 4));
+dfa.setStartState(q[0]);
+[[0, 'a', 1], [0, 'b', 2], [1, 'a', 0], [1, 'b', 3], [2, 'a', 4], [2, 'b', 4],
+    [3, 'a', 4], [3, 'b', 4], [4, 'a', 4], [4, 'b', 4]].forEach(([from, symbol, to]) => dfa.addTransition(q[from], symbol, q[to]));
+
+const moore = new MooreMinimization();
+const mooreResult = moore.minimizeWithSteps(dfa);
+console.log('Prueba 1: Moore, tablas de k-equivalencia');
+moore.rounds.forEach(({ round, classes }) => {
+    console.log(`  Ronda ${round}: ${classes.join(' ')}`);
+    moore.roundTableToLines(round).forEach(line => console.log(`    ${line}`));
+});
+console.log(mooreResult.minimalDFA.states.size === 4 ? '✓ AFD minimo de 4 estados\n' : `✗ Se esperaban 4 estados\n`);
+
+// 2. Brzozowski: reverso, subconjuntos, reverso, subconjuntos
+const brzozowski = new BrzozowskiMinimization();
+const brzozowskiResult = brzozowski.minimizeWithSteps(dfa);
+console.log('Prueba 2: Brzozowski');
+brzozowskiResult.steps.forEach(step => console.log(`  ${step.step}. ${step.action}`));
+Object.values(brzozowskiResult.stateMapping).forEach(mapping => {
+    console.log(`    ${mapping.minimalState} ← {${mapping.originalStates.join(',')}}${mapping.isAccepting ? ' (aceptacion)' : ''}`);
+});
+console.log(brzozowskiResult.minimalDFA.states.size === 4 ? '✓ AFD minimo de 4 estados\n' : '✗ Se esperaban 4 estados\n');
+
+// 3. Los tres algoritmos dan AFD minimos isomorfos (parciales y completos)
+console.log('Prueba 3: verificacion cruzada');
+['(a|b)*abb', 'a(b|c)*', '(ab|ba)*', 'a*b*|b*a*', '(a|b)*a(a|b){3}'].forEach(regex => {
+    const { nfa } = thompson.fromRegex(regex);
+    [false, true].forEach(complete => {
+        const { consistent, sizes, mismatches } = crossCheck.check(subset.convertToDFA(nfa, { complete }));
+        console.log(`${consistent ? '✓' : '✗'} ${regex}${complete ? ' (completo)' : ''}: ${JSON.stringify(sizes)}${consistent ? '' : ' ' + mismatches.map(m => m.reason).join('; ')}`);
+    });
+});
+
+// 4. Brzozowski tambien minimiza directamente un AFN
+const { nfa } = thompson.fromRegex('(a|b)*abb');
+const fromNFA = brzozowski.minimize(nfa);
+console.log(`\nPrueba 4: Brzozowski sobre el AFN de Thompson (${nfa.states.size} estados)`);
+console.log(fromNFA.states.size === 4 ? '✓ AFD minimo de 4 estados' : `✗ ${fromNFA.states.size} estados`);
+
+// 5. AFD no isomorfos
+const other = subset.convertToDFA(thompson.fromRegex('(a|b)*aab').nfa);
+const { isomorphic, reason } = crossCheck.areIsomorphic(moore.minimize(other), mooreResult.minimalDFA);
+console.log(`\nPrueba 5: (a|b)*aab vs el AFD de la prueba 1`);
+console.log(!isomorphic ? `✓ No isomorfos: ${reason}` : '✗ Se esperaban AFD distintos');
+try {
+    crossCheck.assertConsistent(dfa);
+    console.log('✓ assertConsistent acepta el AFD de la prueba 1');
+} catch (error) {
+    console.log(`✗ ${error.code}: ${error.message}`);
+}
@@ -0,0 +1,33 @@
+import ShuntingYard from '../algorithms/shuntingYard.js';
+import RegexDiagnostics from '../utils/regexDiagnostics.js';
+
+const shuntingYard = new ShuntingYard();
+const diagnostics = new RegexDiagnostics(shuntingYard);
+
+// Expresion y bloque de definiciones
+const testCases = [
+    { regex: 'float', definitions: 'digit = [0-9]; int = digit+; float = int\\.int' },
+    { regex: 'id|{digit}{2}', definitions: { letter: '[a-z]', digit: '[0-9]', id: 'letter(letter|digit)*' } },
+    { regex: 'digits', definitions: 'digit = [0-9]' },
+    { regex: 'a', definitions: 'x = y; y = z\nz = x' },
+    { regex: 'int', definitions: 'digit = [0-9\nint = digit+' },
+    { regex: '{nope}', definitions: 'x = a' }
+];
+
+console.log('=== PRUEBAS DEFINICIONES CON NOMBRE ===\n');
+
+testCases.forEach(({ regex, definitions }, index) => {
+    console.log(`Prueba ${index + 1}: ${regex}`);
+    const result = shuntingYard.convert(regex, { definitions });
+
+    if (result.success) {
+        console.log(`✓ Resultado: ${result.postfix}`);
+        result.steps.forEach(step => {
+            console.log(`  ${step.step}. ${step.description}: ${step.expression}`);
+        });
+    } else {
+        console.log('✗ Errores:');
+        result.diagnostics.forEach(diagnostic => console.log(diagnostics.format(diagnostic, '  ')));
+    }
+    console.log('');
+});
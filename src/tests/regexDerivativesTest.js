@@ -0,0 +1,37 @@
+import RegexDerivatives from '../algorithms/regexDerivatives.js';
+import ThompsonNFA from '../algorithms/thompsonNFA.js';
+import SubsetConstruction from '../algorithms/subsetConstruction.js';
+
+const derivatives = new RegexDerivatives();
+const thompson = new ThompsonNFA();
+const subset = new SubsetConstruction();
+
+const testCases = ['(a|b)*abb', 'a*b+', '(ab){2,3}', 'a*&~(aa)', '~((a|b)*aa(a|b)*)', '(a|'];
+const words = ['', 'a', 'aa', 'ab', 'abb', 'abab', 'ababab', 'aab', 'bab'];
+
+console.log('=== PRUEBAS DERIVADAS DE BRZOZOWSKI ===\n');
+
+testCases.forEach((testCase, index) => {
+    console.log(`Prueba ${index + 1}: ${testCase}`);
+    const result = derivatives.toDFA(testCase);
+    if (!result.success) {
+        console.log(`✗ Error: ${result.errors.join('; ')}\n`);
+        return;
+    }
+
+    console.log(`✓ AFD por derivadas: ${result.dfa.states.size} estados`);
+    result.dfa.states.forEach(state => {
+        console.log(`  ${state.id}${state.isAccepting ? '*' : ''}: ${state.expression}`);
+    });
+
+    // Oraculo: Thompson + subconjuntos
+    const dfa = subset.convertToDFA(thompson.fromRegex(testCase).nfa);
+    const differences = words.filter(word => {
+        const expected = dfa.accepts(word).accepted;
+        return derivatives.matches(testCase, word) !== expected || result.dfa.accepts(word).accepted !== expected;
+    });
+    console.log(differences.length === 0
+        ? '  Coincide con Thompson + subconjuntos en las cadenas de prueba'
+        : `  ✗ Difiere de Thompson + subconjuntos en: ${differences.join(', ')}`);
+    console.log('');
+});
@@ -0,0 +1,54 @@
+import RegexParser from '../algorithms/regexParser.js';
+import ShuntingYard from '../algorithms/shuntingYard.js';
+import ThompsonNFA from '../algorithms/thompsonNFA.js';
+
+const parser = new RegexParser();
+const shuntingYard = new ShuntingYard();
+const thompson = new ThompsonNFA();
+
+// Representacion compacta del AST para inspeccion
+function describe(node) {
+    switch (node.type) {
+        case 'Symbol': return node.value;
+        case 'Epsilon': return 'ε';
+        case 'Empty': return '∅';
+        case 'Concat': return `Concat(${describe(node.left)}, ${describe(node.right)})`;
+        case 'Union': return `Union(${describe(node.left)}, ${describe(node.right)})`;
+        case 'Intersection': return `Intersection(${describe(node.left)}, ${describe(node.right)})`;
+        case 'Repeat': return `Repeat(${describe(node.expr)}, ${node.min}, ${node.max})`;
+        default: return `${node.type}(${describe(node.expr)})`;
+    }
+}
+
+const testCases = [
+    '(b|b)*abb(a|b)*',
+    'a*b+',
+    '(a|b)*abb',
+    '[0-9]{2,}x',
+    'a\\+b',
+    '(a|ε)b',
+    '∅*|\\e',
+    'a*&~(ab)|b',
+    '()',
+    'a|*'
+];
+
+console.log('=== PRUEBAS REGEX PARSER ===\n');
+
+testCases.forEach((testCase, index) => {
+    console.log(`Prueba ${index + 1}: ${testCase}`);
+    try {
+        const ast = parser.parse(testCase);
+        const postfix = parser.toPostfix(ast);
+        const expected = shuntingYard.convert(testCase).postfix;
+        console.log(`✓ AST: ${describe(ast)}`);
+        console.log(`  Rango: [${ast.span.start}, ${ast.span.end})`);
+        console.log(`  Postfija: ${postfix} ${postfix === expected ? '(igual a ShuntingYard)' : `(ShuntingYard: ${expected})`}`);
+
+        const result = thompson.fromRegex(ast);
+        console.log(`  AFN desde el AST: ${result.nfa.states.size} estados`);
+    } catch (error) {
+        console.log(`✗ Error: ${error.message}`);
+    }
+    console.log('');
+});
@@ -0,0 +1,55 @@
+import RegexSimplifier from '../algorithms/regexSimplifier.js';
+import RegexParser from '../algorithms/regexParser.js';
+import ThompsonNFA from '../algorithms/thompsonNFA.js';
+import SubsetConstruction from '../algorithms/subsetConstruction.js';
+
+const simplifier = new RegexSimplifier();
+const parser = new RegexParser();
+
+const testCases = [
+    '(a|a)b',
+    '(a*)*',
+    'εa|∅',
+    'ab|ac|d',
+    'a|ab',
+    '(a|b)*(a|b)*',
+    '((a+)?){1,}',
+    '~~(a&a)',
+    '(a+)*'
+];
+
+console.log('=== PRUEBAS SIMPLIFICADOR DE REGEX ===\n');
+
+testCases.forEach((testCase, index) => {
+    console.log(`Prueba ${index + 1}: ${testCase}`);
+    const result = simplifier.simplify(testCase);
+    if (!result.success) {
+        console.log(`✗ Error: ${result.errors.join('; ')}\n`);
+        return;
+    }
+    result.steps.slice(1).forEach(step => {
+        console.log(`  ${step.step}. ${step.description} => ${step.expression}`);
+    });
+    console.log(`✓ Simplificada: ${result.expression} (postfija: ${result.postfix})`);
+    console.log(`  Reglas: ${result.rulesApplied.join(', ') || 'ninguna'}\n`);
+});
+
+console.log('=== IMPRESION CON PARENTESIS MINIMOS ===\n');
+
+['((a)|(b))((c))', '(a(b))*', '(a|(b|c))d', '~((a)b)', '(a*)?'].forEach(testCase => {
+    console.log(`${testCase} -> ${parser.toInfix(parser.parse(testCase))}`);
+});
+
+console.log('\n=== COMPLEMENTO Y ALFABETO ORIGINAL ===\n');
+
+// union-empty quita la b: el complemento del resultado debe seguir tomandose sobre {a, b}
+const withComplement = simplifier.simplify('~a|b∅');
+const dfaOf = regex => new SubsetConstruction().convertToDFA(
+    new ThompsonNFA().fromRegex(regex, { alphabet: withComplement.alphabet }).nfa);
+const originalDFA = dfaOf('~a|b∅');
+const simplifiedDFA = dfaOf(withComplement.expression);
+const words = ['', 'a', 'b', 'aa', 'ab', 'ba', 'bb', 'aab', 'bab'];
+const differing = words.filter(word => originalDFA.accepts(word).accepted !== simplifiedDFA.accepts(word).accepted);
+console.log(differing.length === 0 && withComplement.alphabet.join(',') === 'a,b'
+    ? `✓ ~a|b∅ -> ${withComplement.expression} sobre {${withComplement.alphabet.join(', ')}}: mismas cadenas aceptadas`
+    : `✗ ~a|b∅ -> ${withComplement.expression}: difieren en ${differing.map(word => `"${word}"`).join(', ')}`);
@@ -1,4 +1,5 @@
 import ShuntingYard from '../algorithms/shuntingYard.js';
+import Validator from '../utils/validator.js';
 
 const shuntingYard = new ShuntingYard();
 
@@ -8,7 +9,49 @@ const testCases = [
     'a*b+',
     '(a|b)*abb',
     'a+b*c',
-    '((a|b)*c)*'
+    '((a|b)*c)*',
+    // Operadores como simbolos literales (escapes)
+    'a\\+b',
+    'x\\.txt',
+    '\\(a\\)*',
+    'a\\\\b',
+    'a\\',
+    // Clases de caracteres y rangos
+    '[0-9]+',
+    '[a-c_]x',
+    '[^a]b',
+    '[z-a]',
+    // Repeticiones acotadas
+    'a{3}',
+    '(ab){2,}',
+    '(a|b){1,2}c',
+    'a{3,2}',
+    // Epsilon y conjunto vacio
+    '(a|ε)b',
+    '(a|\\e)b',
+    'a|\\0',
+    // Interseccion y complemento
+    '(a|b)*&~((a|b)*aa(a|b)*)',
+    'a!b',
+    '~a{2}',
+    'a~',
+    // Simbolos Unicode y de varios caracteres
+    '😀+a',
+    "'if'('<='|x)*",
+    "'abc",
+    // Diagnosticos con posicion
+    'a|*',
+    '()',
+    '(a|b',
+    'a**'
 ];
 
-shuntingYard.runTests(testCases);
\ No newline at end of file
+shuntingYard.runTests(testCases);
+
+// Validator.validateRegex sigue rechazando la expresion vacia; ShuntingYard la acepta como ε
+console.log('\n=== EXPRESION VACIA ===');
+['', '   '].forEach(regex => {
+    const validation = new Validator().validateRegex(regex);
+    const ok = !validation.isValid && validation.diagnostics[0].code === 'EMPTY_EXPRESSION' && shuntingYard.validate(regex).isValid;
+    console.log(`${ok ? '✓' : '✗'} ${JSON.stringify(regex)}: ${validation.errors.join('; ') || 'valida'}`);
+});
@@ -0,0 +1,50 @@
+import ThompsonNFA from '../algorithms/thompsonNFA.js';
+import SubsetConstruction from '../algorithms/subsetConstruction.js';
+
+// Compara convertToDFAWithSets (Set + claves de texto) con convertToDFA (bitsets)
+const thompson = new ThompsonNFA();
+const subset = new SubsetConstruction();
+
+const regexes = [
+    // Expresiones de CompTest.js
+    'a', 'ab', 'a|b', '(a|b)*abb',
+    // AFN con cientos de estados
+    '(a|b)*a(a|b){8}',
+    '((a|b)*c(a|b){3}|(b|c)*a)*abc{5,20}',
+    '(a|b|c|d)*(abcd){10,30}'
+];
+
+// Mediana del tiempo por conversion en ms
+function measure(convert, nfa) {
+    const times = [];
+    let total = 0;
+    let runs = 0;
+    while (runs < 5 || (total < 200 && runs < 200)) {
+        const start = process.hrtime.bigint();
+        convert(nfa);
+        const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+        times.push(elapsed);
+        total += elapsed;
+        runs++;
+    }
+    times.sort((a, b) => a - b);
+    return times[Math.floor(times.length / 2)];
+}
+
+console.log('=== BENCHMARK CONSTRUCCION DE SUBCONJUNTOS ===\n');
+console.log('Expresion'.padEnd(40) + 'AFN'.padStart(6) + 'AFD'.padStart(7) + 'Sets (ms)'.padStart(12) + 'Bitset (ms)'.padStart(13) + 'Mejora'.padStart(9));
+
+regexes.forEach(regex => {
+    const { nfa } = thompson.fromRegex(regex);
+    const dfa = subset.convertToDFA(nfa);
+    const withSets = measure(automaton => subset.convertToDFAWithSets(automaton), nfa);
+    const withBits = measure(automaton => subset.convertToDFA(automaton), nfa);
+    console.log(
+        regex.padEnd(40) +
+        String(nfa.states.size).padStart(6) +
+        String(dfa.states.size).padStart(7) +
+        withSets.toFixed(3).padStart(12) +
+        withBits.toFixed(3).padStart(13) +
+        `${(withSets / withBits).toFixed(1)}x`.padStart(9)
+    );
+});
@@ -0,0 +1,40 @@
+import ThompsonNFA from '../algorithms/thompsonNFA.js';
+import SubsetConstruction from '../algorithms/subsetConstruction.js';
+
+const thompson = new ThompsonNFA();
+const subset = new SubsetConstruction();
+
+console.log('=== PRUEBAS LIMITES DE SUBCONJUNTOS ===\n');
+
+// 1. Una expresion normal queda dentro de los limites
+const small = subset.convertWithSteps(thompson.fromRegex('(a|b)*abb').nfa, { maxStates: 10, maxTime: 1000 });
+console.log(`Prueba 1: (a|b)*abb con maxStates 10`);
+console.log(small.success ? `✓ AFD con ${small.dfa.states.size} estados\n` : `✗ ${small.error}\n`);
+
+// 2-4. Explosion de estados: el AFD completo tendria 2^12 estados
+const { nfa } = thompson.fromRegex('(a|b)*a(a|b){11}');
+
+console.log('Prueba 2: (a|b)*a(a|b){11} con maxStates 200');
+try {
+    subset.convertToDFA(nfa, { maxStates: 200 });
+    console.log('✗ Se esperaba STATE_LIMIT_EXCEEDED\n');
+} catch (error) {
+    console.log(`✓ ${error.code}: ${error.message}`);
+    console.log(`  Progreso: ${JSON.stringify(error.progress)}\n`);
+}
+
+console.log('Prueba 3: cancelacion desde onProgress al descubrir 64 estados');
+const reports = [];
+const cancelled = subset.convertWithSteps(nfa, {
+    onProgress: progress => {
+        reports.push(progress);
+        return progress.discovered < 64;
+    }
+});
+console.log(!cancelled.success && cancelled.code === 'CONSTRUCTION_CANCELLED'
+    ? `✓ ${cancelled.error}` : '✗ Se esperaba CONSTRUCTION_CANCELLED');
+console.log(`  Reportes de progreso: ${reports.length}, pasos hechos: ${cancelled.steps.length}\n`);
+
+console.log('Prueba 4: limite de tiempo ya vencido');
+const timed = subset.convertWithSteps(nfa, { maxTime: -1 });
+console.log(timed.code === 'TIME_LIMIT_EXCEEDED' ? `✓ ${timed.error}` : `✗ Se esperaba TIME_LIMIT_EXCEEDED`);
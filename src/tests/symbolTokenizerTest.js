@@ -0,0 +1,32 @@
+import ThompsonNFA from '../algorithms/thompsonNFA.js';
+import SubsetConstruction from '../algorithms/subsetConstruction.js';
+import SymbolTokenizer from '../utils/symbolTokenizer.js';
+
+const thompson = new ThompsonNFA();
+const subsetConstruction = new SubsetConstruction();
+
+console.log('=== PRUEBAS SIMBOLOS UNICODE Y DE VARIOS CARACTERES ===\n');
+
+// Division de cadenas
+const tokenizer = new SymbolTokenizer(['if', '<=', '<']);
+['if<=x', 'i<f', '😀😀'].forEach(input => {
+    console.log(`"${input}" -> [${tokenizer.split(input).map(SymbolTokenizer.format).join(', ')}]`);
+});
+console.log('');
+
+// Simulacion sobre el AFD
+const testCases = [
+    { regex: "'if'('<='|x)*", strings: ['if', 'if<=x', 'i', 'if<'] },
+    { regex: '😀+a', strings: ['😀a', '😀😀a', 'a'] }
+];
+
+testCases.forEach(({ regex, strings }, index) => {
+    console.log(`Prueba ${index + 1}: ${regex}`);
+    const { nfa } = thompson.fromRegex(regex);
+    const dfa = subsetConstruction.convertToDFA(nfa);
+    console.log(`  Alfabeto: {${dfa.getAlphabet().map(SymbolTokenizer.format).join(', ')}}`);
+    strings.forEach(input => {
+        console.log(`  "${input}": ${dfa.accepts(input).accepted ? 'aceptada' : 'rechazada'}`);
+    });
+    console.log('');
+});
@@ -0,0 +1,64 @@
+import Automaton from '../models/Automaton.js';
+import ThompsonNFA from '../algorithms/thompsonNFA.js';
+import SubsetConstruction from '../algorithms/subsetConstruction.js';
+import TableFillingMinimization from '../algorithms/tableFilling.js';
+
+console.log('=== PRUEBAS LLENADO DE TABLA ===\n');
+
+// ¿Acepta `state` el arreglo de simbolos `symbols`? (false si falta una transicion)
+function acceptsFrom(state, symbols) {
+    for (const symbol of symbols) {
+        const targets = state.getTransitions(symbol);
+        if (targets.size === 0) return false;
+        state = targets.values().next().value;
+    }
+    return state.isAccepting;
+}
+
+// 1. AFD de libro: 0, 1 y 3 solo se distinguen en la ronda 1; 2 y 4 son equivalentes
+const dfa = new Automaton('DFA');
+const q = [0, 1, 2, 3, 4].map(i => dfa.createState(i === 2 || i === 4));
+dfa.setStartState(q[0]);
+[[0, 'a', 1], [0, 'b', 2], [1, 'a', 0], [1, 'b', 3], [2, 'a', 4], [2, 'b', 4],
+    [3, 'a', 4], [3, 'b', 4], [4, 'a', 4], [4, 'b', 4]].forEach(([from, symbol, to]) => dfa.addTransition(q[from], symbol, q[to]));
+
+const table = new TableFillingMinimization();
+const result = table.minimizeWithSteps(dfa);
+console.log('Prueba 1: tabla triangular (ronda:testigo)');
+table.tableToLines().forEach(line => console.log(`  ${line}`));
+result.steps.filter(step => step.round !== undefined).forEach(step => {
+    console.log(`  ${step.action}: ${step.markedPairs.map(pair => `${pair.pair}/${pair.witness}`).join(' ')}`);
+});
+console.log(result.minimalDFA.states.size === 4 ? '✓ AFD minimo de 4 estados' : `✗ ${result.minimalDFA.states.size} estados`);
+console.log(table.distinguish(2, 4) === null ? '✓ 2 y 4 son equivalentes' : '✗ 2 y 4 deberian ser equivalentes');
+console.log(table.distinguish(1, 3) === 'a' ? "✓ 1 y 3 se distinguen con 'a'\n" : `✗ Testigo de {1,3}: ${table.distinguish(1, 3)}\n`);
+
+// 2. Cada testigo distingue su par y tiene la longitud de su ronda
+console.log('Prueba 2: testigos de (a|b)*abb');
+const subsetDFA = new SubsetConstruction().convertToDFA(new ThompsonNFA().fromRegex('(a|b)*abb').nfa);
+const abb = new TableFillingMinimization();
+abb.minimize(subsetDFA);
+const cells = abb.getTable().rows.flatMap(row => row.cells.map(cell => ({ ...cell, row: row.state }))).filter(cell => cell.marked);
+const valid = cells.every(cell => {
+    const [p, r] = [subsetDFA.getState(cell.state), subsetDFA.getState(cell.row)];
+    return acceptsFrom(p, cell.symbols) !== acceptsFrom(r, cell.symbols) && cell.symbols.length === cell.round;
+});
+console.log(valid ? `✓ ${cells.length} pares marcados, testigos correctos` : '✗ Algun testigo no distingue su par');
+
+// 3. AFD parcial: el sumidero implicito aparece en la tabla como ∅
+console.log('\nPrueba 3: ab|ac (parcial)');
+const partial = new TableFillingMinimization();
+const partialResult = partial.minimizeWithSteps(new SubsetConstruction().convertToDFA(new ThompsonNFA().fromRegex('ab|ac').nfa));
+partial.tableToLines().forEach(line => console.log(`  ${line}`));
+console.log(partialResult.minimalDFA.states.size === 3 && partial.distinguish(0, '∅') === 'ab'
+    ? "✓ 3 estados; el inicial se distingue de ∅ con 'ab'" : `✗ ${partialResult.minimalDFA.states.size} estados, testigo ${partial.distinguish(0, '∅')}`);
+
+// 4. Simbolos de varios caracteres: el testigo se guarda como simbolos y se muestra con comillas
+console.log("\nPrueba 4: 'if'('else'|i)*f");
+const keywordDFA = new SubsetConstruction().convertToDFA(new ThompsonNFA().fromRegex("'if'('else'|i)*f").nfa);
+const keywords = new TableFillingMinimization();
+keywords.minimize(keywordDFA);
+const startCell = keywords.getTable().rows.find(row => row.state === '∅').cells.find(cell => cell.state === keywordDFA.startState.id);
+console.log(keywords.distinguish(keywordDFA.startState.id, '∅') === "'if'f" && startCell.symbols.join(' ') === 'if f'
+    ? `✓ El inicial se distingue de ∅ con ${startCell.witness} (${startCell.symbols.length} simbolos)`
+    : `✗ Testigo ${startCell.witness}: [${startCell.symbols.join(', ')}]`);
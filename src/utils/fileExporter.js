@@ -10,6 +10,11 @@ function toText(automaton) {
   }
 }
 
+// Simbolos con coma, comillas o saltos de linea van entre comillas dobles (RFC 4180)
+function csvField(value) {
+  return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
 export default class FileExporter {
   exportAndDownload(automaton, format = 'json') {
     try {
@@ -29,7 +34,7 @@ export default class FileExporter {
         filename = 'automata.yaml';
       } else if (format === 'csv') {
         const obj = JSON.parse(automaton.export('json'));
-        dataStr = 'from,symbol,to\n' + obj.TRANSICIONES.map(t => `${t.from},${t.symbol},${t.to}`).join('\n');
+        dataStr = 'from,symbol,to\n' + obj.TRANSICIONES.map(t => `${t.from},${csvField(t.symbol)},${t.to}`).join('\n');
         mime = 'text/csv';
         filename = 'transiciones.csv';
       } else if (format === 'dot') {
@@ -42,7 +47,7 @@ export default class FileExporter {
         lines.push('  _start [shape=point];');
         lines.push(`  _start -> ${obj.INICIO};`);
         obj.TRANSICIONES.forEach(t => {
-          lines.push(`  ${t.from} -> ${t.to} [label="${t.symbol}"];`);
+          lines.push(`  ${t.from} -> ${t.to} [label="${t.symbol.replace(/["\\]/g, '\\$&')}"];`);
         });
         lines.push('}');
         dataStr = lines.join('\n');
@@ -0,0 +1,103 @@
+import HopcroftMinimization from '../algorithms/hopcroft.js';
+import MooreMinimization from '../algorithms/mooreMinimization.js';
+import BrzozowskiMinimization from '../algorithms/brzozowskiMinimization.js';
+
+// Los tres dan AFD minimos parciales (sin estados muertos), comparables por isomorfismo
+const MINIMIZERS = {
+  hopcroft: () => new HopcroftMinimization(),
+  moore: () => new MooreMinimization(),
+  brzozowski: () => new BrzozowskiMinimization()
+};
+
+export default class MinimizationCrossCheck {
+  /**
+   * Isomorfismo de AFD (parciales o completos): recorre ambos desde el inicial
+   * y construye la biyeccion; falla si un simbolo lleva a estados con distinta
+   * aceptacion, esta definido solo en uno, o choca con la biyeccion ya armada
+   * @returns {Object} { isomorphic, mapping: id1 -> id2, reason }
+   */
+  areIsomorphic(dfa1, dfa2) {
+    if (dfa1.states.size !== dfa2.states.size) {
+      return { isomorphic: false, mapping: null, reason: `Numero de estados distinto: ${dfa1.states.size} vs ${dfa2.states.size}` };
+    }
+
+    const symbols = new Set([...dfa1.alphabet, ...dfa2.alphabet]);
+    const forward = new Map();
+    const backward = new Map();
+    const queue = [];
+
+    const pair = (state1, state2) => {
+      if (forward.has(state1) || backward.has(state2)) {
+        return forward.get(state1) === state2 ? null : `q${state1.id} y q${state2.id} ya estan emparejados con otros estados`;
+      }
+      if (state1.isAccepting !== state2.isAccepting) return `q${state1.id} y q${state2.id} difieren en aceptacion`;
+      forward.set(state1, state2);
+      backward.set(state2, state1);
+      queue.push([state1, state2]);
+      return null;
+    };
+
+    let reason = pair(dfa1.startState, dfa2.startState);
+    while (!reason && queue.length > 0) {
+      const [state1, state2] = queue.shift();
+      for (const symbol of symbols) {
+        const target1 = state1.getTransitions(symbol).values().next().value;
+        const target2 = state2.getTransitions(symbol).values().next().value;
+        if (!target1 && !target2) continue;
+        reason = !target1 || !target2
+          ? `Con '${symbol}', q${state1.id} y q${state2.id} no tienen ambos transicion`
+          : pair(target1, target2);
+        if (reason) break;
+      }
+    }
+
+    if (!reason && forward.size !== dfa1.states.size) reason = 'Hay estados inalcanzables';
+    if (reason) return { isomorphic: false, mapping: null, reason };
+
+    const mapping = {};
+    forward.forEach((state2, state1) => { mapping[state1.id] = state2.id; });
+    return { isomorphic: true, mapping, reason: null };
+  }
+
+  /**
+   * Minimiza con Hopcroft, Moore y Brzozowski y compara los tres resultados con Hopcroft
+   * @param {Automaton} dfa - AFD de entrada
+   * @returns {Object} { consistent, sizes, results, mismatches }
+   */
+  check(dfa) {
+    const results = {};
+    const sizes = {};
+    Object.entries(MINIMIZERS).forEach(([name, create]) => {
+      results[name] = create().minimizeWithSteps(dfa);
+      sizes[name] = results[name].success ? results[name].minimalDFA.states.size : null;
+    });
+
+    const mismatches = [];
+    Object.keys(MINIMIZERS).filter(name => name !== 'hopcroft').forEach(name => {
+      if (!results[name].success || !results.hopcroft.success) {
+        mismatches.push({ algorithms: ['hopcroft', name], reason: results[name].error || results.hopcroft.error });
+        return;
+      }
+      const { isomorphic, reason } = this.areIsomorphic(results.hopcroft.minimalDFA, results[name].minimalDFA);
+      if (!isomorphic) mismatches.push({ algorithms: ['hopcroft', name], reason });
+    });
+
+    return { consistent: mismatches.length === 0, sizes, results, mismatches };
+  }
+
+  /**
+   * Como check, pero lanza un error (code MINIMIZATION_MISMATCH) si los AFD minimos no son isomorfos
+   * @param {Automaton} dfa - AFD de entrada
+   * @returns {Automaton} AFD minimo (el de Hopcroft)
+   */
+  assertConsistent(dfa) {
+    const { consistent, results, mismatches } = this.check(dfa);
+    if (!consistent) {
+      const error = new Error(`Los AFD minimos no son isomorfos: ${mismatches.map(m => `${m.algorithms.join(' vs ')} (${m.reason})`).join('; ')}`);
+      error.code = 'MINIMIZATION_MISMATCH';
+      error.mismatches = mismatches;
+      throw error;
+    }
+    return results.hopcroft.minimalDFA;
+  }
+}
@@ -0,0 +1,196 @@
+import RegexDefinitions from '../algorithms/regexDefinitions.js';
+
+/**
+ * Motor de diagnosticos para expresiones regulares.
+ * Cada diagnostico incluye un codigo, el rango [start, end) dentro de la
+ * expresion y un extracto con la zona señalada por carets (^).
+ *
+ * Recibe el ShuntingYard que actua como lexer para compartir exactamente
+ * la misma tokenizacion que usa la conversion.
+ */
+export default class RegexDiagnostics {
+  constructor(shuntingYard) {
+    this.shuntingYard = shuntingYard;
+  }
+
+  /**
+   * Analiza la expresion y devuelve todos los problemas encontrados
+   * @param {string} regex - Expresion regular
+   * @param {Object} options - { alphabet, definitions, allowEmpty } alfabeto declarado y definiciones con nombre;
+   *   allowEmpty: false rechaza las expresiones vacias o solo con espacios (EMPTY_EXPRESSION)
+   * @returns {{isValid: boolean, diagnostics: Array<Object>}}
+   */
+  analyze(regex, options = {}) {
+    if (typeof regex !== 'string') {
+      return this.result('', [this.createDiagnostic('', 'INVALID_INPUT', 'La expresion debe ser una cadena de texto', 0, 0)]);
+    }
+    // Validator.validateRegex rechaza la expresion vacia o solo con espacios
+    if (options.allowEmpty === false && regex.trim() === '') {
+      return this.result(regex, [this.createDiagnostic(regex, 'EMPTY_EXPRESSION', 'Expresion vacia', 0, regex.length)]);
+    }
+    if (options.definitions) {
+      return this.analyzeWithDefinitions(regex, options);
+    }
+    // La expresion vacia representa ε
+    if (regex.length === 0) return this.result(regex, []);
+
+    let tokens;
+    try {
+      tokens = this.shuntingYard.tokenize(regex);
+    } catch (error) {
+      return this.result(regex, [this.fromError(regex, error)]);
+    }
+
+    const diagnostics = [];
+    const add = (code, message, start, end) => diagnostics.push(this.createDiagnostic(regex, code, message, start, end));
+    const isUnary = token => token && token.type === 'operator' &&
+      this.shuntingYard.unaryOperators.has(this.shuntingYard.operatorKey(token));
+    const isBinary = token => token && token.type === 'operator' && this.shuntingYard.binaryOperators.has(token.value);
+    const isPrefix = token => token && this.shuntingYard.isPrefixOperator(token);
+    const openParens = [];
+
+    tokens.forEach((token, i) => {
+      const prev = tokens[i - 1] || null;
+      const next = tokens[i + 1] || null;
+
+      if (token.type === 'lparen') {
+        openParens.push(token);
+        if (next && next.type === 'rparen') {
+          add('EMPTY_GROUP', `Grupo vacio () en la posicion ${token.position}`, token.position, next.end);
+        }
+      } else if (token.type === 'rparen') {
+        if (openParens.length === 0) {
+          add('UNMATCHED_CLOSE_PAREN', `Parentesis de cierre sin apertura correspondiente (posicion ${token.position})`, token.position, token.end);
+        } else {
+          openParens.pop();
+        }
+      } else if (isUnary(token)) {
+        if (!prev || prev.type === 'lparen' || isBinary(prev) || isPrefix(prev)) {
+          add('DANGLING_QUANTIFIER', `El operador '${token.value}' no tiene operando (posicion ${token.position})`, token.position, token.end);
+        } else if (isUnary(prev)) {
+          add('STACKED_QUANTIFIER', `Cuantificadores consecutivos '${prev.value}${token.value}' (posicion ${prev.position})`, prev.position, token.end);
+        }
+      } else if (isPrefix(token)) {
+        if (!next || next.type === 'rparen' || isBinary(next)) {
+          add('MISSING_OPERAND', `El operador '${regex.slice(token.position, token.end)}' no tiene operando (posicion ${token.position})`, token.position, token.end);
+        }
+      } else if (isBinary(token)) {
+        const name = token.value === '|' ? 'ALTERNATION' : 'OPERATOR';
+        if (!prev || prev.type === 'lparen') {
+          add(`LEADING_${name}`, `El operador '${token.value}' no tiene operando izquierdo (posicion ${token.position})`, token.position, token.end);
+        }
+        if (!next || next.type === 'rparen') {
+          add(`TRAILING_${name}`, `El operador '${token.value}' no tiene operando derecho (posicion ${token.position})`, token.position, token.end);
+        }
+        if (isBinary(next)) {
+          add('CONSECUTIVE_OPERATORS', `Operadores binarios consecutivos: ${token.value}${next.value} (posicion ${token.position})`, token.position, next.end);
+        }
+      }
+    });
+
+    openParens.forEach(token => {
+      add('UNCLOSED_PAREN', `Parentesis de apertura sin cierre correspondiente (posicion ${token.position})`, token.position, token.end);
+    });
+
+    // Clases negadas que no dejan simbolos del alfabeto
+    const alphabet = this.shuntingYard.resolveAlphabet(tokens, options.alphabet);
+    tokens.filter(token => token.type === 'class').forEach(token => {
+      try {
+        this.shuntingYard.classSymbols(token, alphabet);
+      } catch (error) {
+        diagnostics.push(this.fromError(regex, error));
+      }
+    });
+
+    diagnostics.sort((a, b) => a.start - b.start);
+    return this.result(regex, diagnostics);
+  }
+
+  /**
+   * Valida el bloque de definiciones y la expresion expandida.
+   * Los errores de una definicion se ubican en el bloque y llevan su nombre
+   * (propiedad definition); las definiciones que solo fallan por usar otra
+   * definicion erronea no se reportan de nuevo
+   * @param {string} regex - Expresion regular que usa las definiciones
+   * @param {Object} options - { alphabet, definitions }
+   * @returns {{isValid: boolean, diagnostics: Array<Object>}}
+   */
+  analyzeWithDefinitions(regex, options) {
+    const definitions = new RegexDefinitions(this.shuntingYard);
+    const source = definitions.toSource(options.definitions);
+    let expansion;
+    try {
+      expansion = definitions.expand(regex, options.definitions);
+    } catch (error) {
+      const diagnostic = this.fromError(error.inExpression ? regex : source, error);
+      diagnostic.definition = error.definition;
+      return this.result(regex, [diagnostic]);
+    }
+
+    const diagnostics = [];
+    const invalid = new Set();
+    expansion.definitions.forEach(definition => {
+      const { diagnostics: found } = this.analyze(definition.expanded, { alphabet: options.alphabet });
+      if (found.length === 0) return;
+      invalid.add(definition.name);
+      if (Array.from(definition.references).some(name => invalid.has(name))) return;
+
+      // Sin referencias el cuerpo expandido coincide con el escrito y se puede señalar el punto exacto
+      const first = found[0];
+      const exact = definition.references.size === 0;
+      const start = exact ? definition.bodyStart + first.start : definition.bodyStart;
+      const end = exact ? definition.bodyStart + first.end : definition.bodyStart + definition.body.length;
+      const diagnostic = this.createDiagnostic(source, first.code, `En la definicion '${definition.name}': ${first.message}`, start, end);
+      diagnostic.definition = definition.name;
+      diagnostics.push(diagnostic);
+    });
+    if (diagnostics.length > 0) return this.result(regex, diagnostics);
+
+    return this.analyze(expansion.expression, { alphabet: options.alphabet });
+  }
+
+  /**
+   * Convierte un error con code/span (lexer o parser) en diagnostico
+   * @param {string} regex - Expresion regular
+   * @param {Error} error - Error lanzado
+   * @returns {Object} Diagnostico
+   */
+  fromError(regex, error) {
+    const span = error.span || { start: 0, end: regex.length };
+    return this.createDiagnostic(regex, error.code || 'SYNTAX_ERROR', error.message, span.start, span.end);
+  }
+
+  createDiagnostic(regex, code, message, start, end) {
+    return { code, message, start, end, excerpt: this.excerpt(regex, start, end) };
+  }
+
+  result(regex, diagnostics) {
+    return { isValid: diagnostics.length === 0, diagnostics };
+  }
+
+  /**
+   * Extracto de la expresion con la zona del error marcada con ^.
+   * En textos de varias lineas (bloques de definiciones) solo se muestra la linea del error
+   * @param {string} regex - Expresion regular
+   * @param {number} start - Inicio del rango
+   * @param {number} end - Fin del rango (exclusivo)
+   * @returns {string} Dos lineas: la expresion y los carets
+   */
+  excerpt(regex, start, end) {
+    const lineStart = regex.lastIndexOf('\n', start - 1) + 1;
+    const lineEnd = regex.indexOf('\n', start) === -1 ? regex.length : regex.indexOf('\n', start);
+    const width = Math.max(1, Math.min(end, lineEnd) - start);
+    return `${regex.slice(lineStart, lineEnd)}\n${' '.repeat(start - lineStart)}${'^'.repeat(width)}`;
+  }
+
+  /**
+   * Formatea un diagnostico para consola
+   * @param {Object} diagnostic - Diagnostico
+   * @param {string} indent - Sangria de cada linea
+   * @returns {string} Texto con codigo, mensaje y extracto
+   */
+  format(diagnostic, indent = '') {
+    const lines = [`[${diagnostic.code}] ${diagnostic.message}`, ...diagnostic.excerpt.split('\n').map(line => `  ${line}`)];
+    return lines.map(line => indent + line).join('\n');
+  }
+}
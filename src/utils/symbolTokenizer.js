@@ -0,0 +1,56 @@
+/**
+ * Divide las cadenas de entrada en simbolos del alfabeto.
+ * Trabaja por puntos de codigo (un emoji es un solo simbolo, no dos mitades
+ * UTF-16) y, si el alfabeto tiene simbolos de varios caracteres ('if', '<='),
+ * reconoce siempre el simbolo mas largo posible en cada posicion.
+ */
+export default class SymbolTokenizer {
+  /**
+   * @param {Iterable<string>} alphabet - Alfabeto (solo importan los simbolos de varios caracteres)
+   */
+  constructor(alphabet = []) {
+    this.multiCharSymbols = Array.from(alphabet)
+      .filter(symbol => SymbolTokenizer.isMultiChar(symbol))
+      .sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * Verifica si un simbolo ocupa mas de un punto de codigo
+   * @param {string} symbol - Simbolo
+   * @returns {boolean}
+   */
+  static isMultiChar(symbol) {
+    return Array.from(symbol).length > 1;
+  }
+
+  /**
+   * Divide la cadena en simbolos. Un arreglo se considera ya dividido
+   * @param {string|Array<string>} input - Cadena de entrada
+   * @returns {Array<string>} Simbolos
+   */
+  split(input) {
+    if (Array.isArray(input)) return input;
+    if (this.multiCharSymbols.length === 0) return Array.from(input);
+
+    const symbols = [];
+    let i = 0;
+    while (i < input.length) {
+      const match = this.multiCharSymbols.find(symbol => input.startsWith(symbol, i));
+      const symbol = match || String.fromCodePoint(input.codePointAt(i));
+      symbols.push(symbol);
+      i += symbol.length;
+    }
+    return symbols;
+  }
+
+  /**
+   * Representacion de un simbolo en texto plano: los de varios caracteres
+   * (y la propia comilla) van entre comillas simples, igual que en las expresiones ('if')
+   * @param {string} symbol - Simbolo
+   * @returns {string} Simbolo listo para mostrar o exportar
+   */
+  static format(symbol) {
+    if (!SymbolTokenizer.isMultiChar(symbol) && symbol !== "'") return symbol;
+    return `'${symbol.replace(/[\\']/g, '\\$&')}'`;
+  }
+}
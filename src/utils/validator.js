@@ -1,22 +1,18 @@
+import ShuntingYard from '../algorithms/shuntingYard.js';
+import SymbolTokenizer from './symbolTokenizer.js';
+
 export default class Validator {
-  validateRegex(regex) {
-    const errors = [];
-    if (typeof regex !== 'string' || regex.trim() === '') errors.push('Expresión vacía.');
-    // Paréntesis balanceados simples
-    let bal = 0;
-    for (const c of regex) {
-      if (c === '(') bal++;
-      if (c === ')') bal--;
-      if (bal < 0) errors.push('Paréntesis de cierre extra.');
-    }
-    if (bal > 0) errors.push('Paréntesis sin cerrar.');
-    return { isValid: errors.length === 0, errors };
+  // Usa el mismo motor de diagnosticos que ShuntingYard.validate, pero como antes
+  // rechaza la expresion vacia o solo con espacios (ShuntingYard la acepta como ε)
+  validateRegex(regex, options = {}) {
+    return new ShuntingYard().validate(regex, { ...options, allowEmpty: false });
   }
 
+  // Separa la palabra igual que la simulacion: por puntos de codigo y simbolos de varios caracteres
   validateInputString(word, alphabetSet) {
     const errors = [];
     if (word == null) return { isValid: true, errors: [] };
-    for (const ch of word) {
+    for (const ch of new SymbolTokenizer(alphabetSet).split(word)) {
       if (!alphabetSet.has(ch)) errors.push(`Símbolo "${ch}" no pertenece al alfabeto del autómata.`);
     }
     return { isValid: errors.length === 0, errors };
@@ -16,7 +16,7 @@ export async function simulateStringOnDFA(w, dfa, visualizer = null, options = {
 
   // Validar símbolos contra el alfabeto del autómata
   const alphabet = new Set(dfa.getAlphabet());
-  const invalid = [...new Set([...w].filter(ch => !alphabet.has(ch)))];
+  const invalid = [...new Set(dfa.splitInput(w).filter(ch => !alphabet.has(ch)))];
   if (invalid.length > 0) {
     throw new Error(
       `Símbolos inválidos en la cadena: ${invalid.join(', ')}. ` +